@@ -0,0 +1,160 @@
+// Onchain Dojo service worker.
+// - Precaches the app shell so the dojo opens offline; challenges, history and
+//   attempts come from IndexedDB, which works offline on its own.
+// - Notifications for the post schedule queue: clicking one opens the queued
+//   post's share intent. Installed apps on Chromium also get a
+//   "schedule-check" periodic sync, so due posts notify with no tab open.
+// - Daily streak reminders on the same periodic sync (see STREAK + REMINDERS
+//   in App.jsx for the rules — keep remindStreak in step with dueReminders).
+// Registered as /sw.js?dev by the Vite dev server: no caching there.
+
+const DB_NAME = "onchain_dojo";
+const SHELL_CACHE = "dojo-shell-v1";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg", "/icon-192.png", "/icon-512.png"];
+const DEV = new URL(self.location.href).searchParams.has("dev");
+
+self.addEventListener("install", (e) => e.waitUntil(precacheShell().then(() => self.skipWaiting())));
+
+self.addEventListener("activate", (e) => e.waitUntil((async () => {
+  const names = await caches.keys();
+  await Promise.all(names.filter(n => n !== SHELL_CACHE).map(n => caches.delete(n)));
+  await self.clients.claim();
+})()));
+
+// Vite fingerprints the bundle, so its file names come from the built index.html
+async function precacheShell() {
+  if (DEV) return;
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL);
+  const html = await (await cache.match("/index.html")).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]);
+  await cache.addAll(assets);
+}
+
+// Same-origin GETs only — LLM API calls always go to the network.
+// Pages: network first, cached shell when offline. Fingerprinted assets:
+// cache first. Everything else: network, falling back to cache.
+self.addEventListener("fetch", (e) => {
+  const url = new URL(e.request.url);
+  if (DEV || e.request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (e.request.mode === "navigate") {
+    e.respondWith(fetch(e.request).catch(async () => (await caches.match("/index.html")) || Response.error()));
+    return;
+  }
+  e.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    if (url.pathname.startsWith("/assets/")) {
+      const hit = await cache.match(e.request);
+      if (hit) return hit;
+    }
+    try {
+      const res = await fetch(e.request);
+      if (res.ok) cache.put(e.request, res.clone());
+      return res;
+    } catch (err) {
+      const hit = await cache.match(e.request);
+      if (hit) return hit;
+      throw err;
+    }
+  })());
+});
+
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  const { id, url = "/" } = e.notification.data || {};
+  e.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    windows.forEach(w => w.postMessage({ type: "schedule-opened", id }));
+    if (url !== "/") return self.clients.openWindow(url);
+    return windows[0] ? windows[0].focus() : self.clients.openWindow("/");
+  })());
+});
+
+self.addEventListener("periodicsync", (e) => {
+  if (e.tag === "schedule-check") e.waitUntil(Promise.all([notifyDue(), remindStreak()]));
+});
+
+// Open whatever version the app created. Never create or upgrade the
+// database from here — that's the app's job (see MIGRATIONS in App.jsx).
+function openExistingDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      req.result.onversionchange = () => req.result.close();
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function notifyDue() {
+  const db = await openExistingDB().catch(() => null);
+  if (!db) return;
+  try {
+    if (!db.objectStoreNames.contains("schedule")) return;
+    const items = await new Promise((resolve, reject) => {
+      const req = db.transaction("schedule").objectStore("schedule").getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const now = Date.now();
+    for (const item of items.filter(it => it.status === "scheduled" && it.scheduledFor <= now)) {
+      await self.registration.showNotification(`⏰ Time to post: Day ${item.day}`, {
+        body: `${item.title}\n${item.tweets[0].slice(0, 120)}`,
+        tag: item.id,
+        requireInteraction: true,
+        data: { id: item.id, url: item.intentUrl || "/" },
+      });
+      db.transaction("schedule", "readwrite").objectStore("schedule").put({ ...item, status: "notified", notifiedAt: now });
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// Mirrors dateKeyAt / isPastTime in App.jsx. No saved boundary = the
+// device zone with midnight resets, same as the app's default.
+function dayClock({ timeZone, resetHour = 0 } = {}) {
+  const p = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(Date.now()).map(x => [x.type, x.value]));
+  let today = `${p.year}-${p.month}-${p.day}`;
+  if (Number(p.hour) < resetHour) today = new Date(Date.parse(today) - 86400000).toISOString().slice(0, 10);
+  const minutes = (hhmm) => {
+    const [h, m] = hhmm.split(":").map(Number);
+    return ((h - resetHour) * 60 + m + 1440) % 1440;
+  };
+  return { today, isPast: (hhmm) => minutes(`${p.hour}:${p.minute}`) >= minutes(hhmm) };
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function remindStreak() {
+  const db = await openExistingDB().catch(() => null);
+  if (!db) return;
+  try {
+    const meta = db.transaction("meta").objectStore("meta");
+    const [rem, streak = { count: 0, last: "", freezes: 0 }] = await Promise.all([idbRequest(meta.get("reminders")), idbRequest(meta.get("streak"))]);
+    const { today, isPast } = dayClock(await idbRequest(meta.get("dayBoundary")));
+    if (!rem?.enabled || streak.last >= today) return;
+    const missed = streak.count ? Math.round((Date.parse(today) - Date.parse(streak.last)) / 86400000) - 1 : Infinity;
+    const risk = missed <= (streak.freezes || 0) && isPast(rem.riskTime) && rem.lastRisk !== today;
+    const daily = isPast(rem.time) && rem.lastDaily !== today;
+    if (!risk && !daily) return;
+    await self.registration.showNotification(risk ? `🔥 Your ${streak.count}-day streak is at risk` : "🥋 Today's challenge is waiting", {
+      body: risk ? "Finish today's challenge or a review session before the day ends." : "A few minutes of onchain analysis keeps the streak going.",
+      tag: "dojo-reminder",
+      data: { url: "/" },
+    });
+    db.transaction("meta", "readwrite").objectStore("meta").put({ ...rem, lastDaily: today, ...(risk && { lastRisk: today }) }, "reminders");
+  } finally {
+    db.close();
+  }
+}
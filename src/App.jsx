@@ -1,18 +1,36 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 
 // ─────────────────────────────────────────────────────────────────────────────
-// GEMINI API HELPER
+// LLM PROVIDERS
 // ─────────────────────────────────────────────────────────────────────────────
+// Every AI call goes through callLLM(cfg, ...) which dispatches on
+// cfg.provider. cfg = { provider, model, baseUrl, key } — see loadLlmConfig.
+// Provider calls resolve to { text, grounding, finishReason, blockReason,
+// usage } — grounding is Gemini's search metadata (see normalizeGrounding),
+// null everywhere else; usage = { prompt, output, grounding } token counts
+// (see USAGE + COST). HTTP failures throw an LLMError (see API ERRORS).
+// opts = { signal, onText, onRetry, confirmBudget, feature, template,
+// acceptCutOff }: signal aborts the request (AbortController); onText
+// switches to the streaming endpoint and gets the text so far; onRetry hears
+// about each backoff before it's waited out; confirmBudget asks the user
+// about a call over a budget cap (see guardBudget); feature is the
+// USAGE_FEATURES id the call is metered under; template is the
+// PROMPT_TEMPLATES id (or "glossary") the prompt came from; acceptCutOff
+// returns text cut off at the token limit instead of rejecting.
+const LLM_MAX_OUTPUT_TOKENS = 2048;
+
 // callGemini — useSearch=true enables Google Search grounding so Gemini
 // fetches REAL recent onchain events instead of hallucinating fake scenarios
-async function callGemini(apiKey, prompt, systemInstruction = "", useSearch = false) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+async function callGemini(cfg, prompt, systemInstruction = "", useSearch = false, { signal, onText } = {}) {
+  const url = onText
+    ? `${cfg.baseUrl}/models/${cfg.model}:streamGenerateContent?alt=sse&key=${cfg.key}`
+    : `${cfg.baseUrl}/models/${cfg.model}:generateContent?key=${cfg.key}`;
   const body = {
     contents: [{ role: "user", parts: [{ text: prompt }] }],
     ...(systemInstruction && {
       systemInstruction: { parts: [{ text: systemInstruction }] },
     }),
-    generationConfig: { temperature: useSearch ? 0.4 : 0.9, maxOutputTokens: 2048 },
+    generationConfig: { temperature: useSearch ? 0.4 : 0.9, maxOutputTokens: LLM_MAX_OUTPUT_TOKENS },
     ...(useSearch && {
       tools: [{ googleSearch: {} }],
     }),
@@ -21,20 +39,651 @@ async function callGemini(apiKey, prompt, systemInstruction = "", useSearch = fa
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
+    signal,
   });
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err?.error?.message || `Gemini API error ${res.status}`);
-  }
-  const data = await res.json();
+  if (!res.ok) throw await toHttpError(res, cfg);
   // Extract text from all parts (grounding may split across parts)
-  const parts = data.candidates?.[0]?.content?.parts || [];
-  return parts.map(p => p.text || "").join("") || "";
+  const partsText = (candidate) => (candidate?.content?.parts || []).map(p => p.text || "").join("");
+  if (!onText) {
+    const data = await res.json();
+    const candidate = data.candidates?.[0];
+    return {
+      text: partsText(candidate), grounding: normalizeGrounding(candidate?.groundingMetadata),
+      finishReason: candidate?.finishReason, blockReason: data.promptFeedback?.blockReason,
+      usage: geminiUsage(data.usageMetadata),
+    };
+  }
+  // Each SSE event is a partial response; grounding, finishReason and the
+  // final usageMetadata arrive with the last ones, a blocked prompt's
+  // promptFeedback with the first
+  let text = "", meta, finishReason, blockReason, usage;
+  await readLines(res, (line) => {
+    const event = parseEvent(line);
+    blockReason = event?.promptFeedback?.blockReason || blockReason;
+    usage = event?.usageMetadata || usage;
+    const candidate = event?.candidates?.[0];
+    if (!candidate) return;
+    text += partsText(candidate);
+    meta = candidate.groundingMetadata || meta;
+    finishReason = candidate.finishReason || finishReason;
+    onText(text);
+  });
+  return { text, grounding: normalizeGrounding(meta), finishReason, blockReason, usage: geminiUsage(usage) };
+}
+
+// Thinking tokens bill as output; search-tool tokens as input
+function geminiUsage(meta) {
+  if (!meta) return null;
+  return {
+    prompt:    meta.promptTokenCount || 0,
+    output:    (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0),
+    grounding: meta.toolUsePromptTokenCount || 0,
+  };
+}
+
+// callOpenAICompatible — any /chat/completions endpoint (OpenAI, OpenRouter,
+// LiteLLM gateways, llama.cpp server, vLLM...). No web search: useSearch only
+// lowers the temperature so challenge JSON stays on-format.
+async function callOpenAICompatible(cfg, prompt, systemInstruction = "", useSearch = false, { signal, onText } = {}) {
+  const res = await fetch(`${cfg.baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(cfg.key && { Authorization: `Bearer ${cfg.key}` }),
+    },
+    body: JSON.stringify({
+      model: cfg.model,
+      messages: [
+        ...(systemInstruction ? [{ role: "system", content: systemInstruction }] : []),
+        { role: "user", content: prompt },
+      ],
+      temperature: useSearch ? 0.4 : 0.9,
+      max_tokens: LLM_MAX_OUTPUT_TOKENS,
+      ...(onText && { stream: true, stream_options: { include_usage: true } }),
+    }),
+    signal,
+  });
+  if (!res.ok) throw await toHttpError(res, cfg);
+  const openAIUsage = (u) => u && { prompt: u.prompt_tokens || 0, output: u.completion_tokens || 0, grounding: 0 };
+  if (!onText) {
+    const data = await res.json();
+    const choice = data.choices?.[0];
+    return { text: choice?.message?.content || "", grounding: null, finishReason: choice?.finish_reason, usage: openAIUsage(data.usage) };
+  }
+  // include_usage adds a last chunk with no choices and the totals
+  let text = "", finishReason, usage = null;
+  await readLines(res, (line) => {
+    const event = parseEvent(line);
+    usage = openAIUsage(event?.usage) || usage;
+    const choice = event?.choices?.[0];
+    finishReason = choice?.finish_reason || finishReason;
+    if (!choice?.delta?.content) return;
+    text += choice.delta.content;
+    onText(text);
+  });
+  return { text, grounding: null, finishReason, usage };
+}
+
+// callOllama — native Ollama /api/chat on a local or LAN box
+// (streams newline-delimited JSON rather than SSE)
+async function callOllama(cfg, prompt, systemInstruction = "", useSearch = false, { signal, onText } = {}) {
+  const res = await fetch(`${cfg.baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: cfg.model,
+      stream: !!onText,
+      messages: [
+        ...(systemInstruction ? [{ role: "system", content: systemInstruction }] : []),
+        { role: "user", content: prompt },
+      ],
+      options: { temperature: useSearch ? 0.4 : 0.9, num_predict: LLM_MAX_OUTPUT_TOKENS },
+    }),
+    signal,
+  });
+  if (!res.ok) throw await toHttpError(res, cfg);
+  const ollamaUsage = (d) => d?.done ? { prompt: d.prompt_eval_count || 0, output: d.eval_count || 0, grounding: 0 } : null;
+  if (!onText) {
+    const data = await res.json();
+    return { text: data.message?.content || "", grounding: null, finishReason: data.done_reason, usage: ollamaUsage(data) };
+  }
+  let text = "", finishReason, usage = null;
+  await readLines(res, (line) => {
+    const data = parseEvent(line);
+    finishReason = data?.done_reason || finishReason;
+    usage = ollamaUsage(data) || usage;
+    if (!data?.message?.content) return;
+    text += data.message.content;
+    onText(text);
+  });
+  return { text, grounding: null, finishReason, usage };
+}
+
+// Calls onLine for every non-empty line of a streamed response body
+async function readLines(res, onLine) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    buf += decoder.decode(value, { stream: !done });
+    const lines = buf.split("\n");
+    buf = done ? "" : lines.pop();
+    lines.forEach(l => l.trim() && onLine(l.trim()));
+    if (done) return;
+  }
+}
+
+// One streamed event: SSE "data: {...}" or a bare NDJSON line. Keep-alives,
+// comments and OpenAI's "data: [DONE]" come back as null.
+function parseEvent(line) {
+  const payload = line.startsWith("data:") ? line.slice(5).trim() : line;
+  if (!payload.startsWith("{")) return null;
+  try { return JSON.parse(payload); } catch { return null; }
+}
+
+function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+// callMock — deterministic fixtures for offline demos: the same prompt always
+// returns the same response, and nothing leaves the browser. Fixtures are
+// never grounded, so mock challenges show as unverified. The fixture is
+// picked by opts.template, not by prompt wording — templates are editable.
+async function callMock(cfg, prompt, ...rest) {
+  const { signal, onText, template } = rest[2] || {};
+  signal?.throwIfAborted();
+  const text = mockText(prompt, template);
+  onText?.(text);
+  return { text, grounding: null, usage: { prompt: estimateTokens(prompt), output: estimateTokens(text), grounding: 0 } };
+}
+
+function mockText(prompt, template) {
+  const pick = (list) => list[hashString(prompt) % list.length];
+  if (template === "search") {
+    const { quiz, ...challenge } = pick(MOCK_CHALLENGES);
+    // The quiz shape is the app's {{answerShape}}: no shape, no quiz fields
+    const type = prompt.match(/"answerType": "(\w+)"/)?.[1];
+    return JSON.stringify({ ...challenge, ...(type && { answerType: type, ...quiz[type] }) });
+  }
+  if (template === "thread")   return MOCK_THREAD.join("\n---TWEET---\n");
+  if (template === "post")     return MOCK_THREAD.join("\n\n");
+  if (template === "feedback") return MOCK_FEEDBACK;
+  if (template === "glossary") {
+    const term = prompt.match(/entry for "([^"]+)"/)?.[1] || "Metric";
+    return JSON.stringify({
+      term,
+      definition: `Fixture definition of ${term}, returned by the mock provider for offline testing.`,
+      formula: "numerator / denominator",
+      interpretation: "Fixture interpretation: higher than its 90-day average is notable, lower is quiet.",
+      pitfalls: ["Fixture pitfall — the mock provider doesn't know real metrics"],
+      related: ["SOPR"],
+    });
+  }
+  return "OK";
+}
+
+function hashString(s) {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) >>> 0;
+  return h;
+}
+
+const MOCK_CHALLENGES = [
+  {
+    title: "Long-Term Holders Wake Up at Highs",
+    realEvent: "Fixture: coins dormant 5+ years moved to exchanges during a price rally.",
+    source: "https://example.com/fixtures/lth-spend",
+    problem: "Over 48 hours, 31,000 BTC older than 5 years moved onchain and 12,400 BTC landed on exchanges while price sat 4% below ATH. Long-term holder SOPR jumped from 1.8 to 3.1. What does this signal?",
+    hints: ["Compare LTH SOPR to its 90-day average", "Check whether the coins went to exchange deposit addresses", "Look at how earlier cycle tops handled old-coin spending"],
+    keyMetrics: ["LTH SOPR", "Coin Days Destroyed", "Exchange Inflow", "HODL Waves"],
+    tools: ["Glassnode", "CryptoQuant", "mempool.space"],
+    teachingPoint: "Old coins moving to exchanges near highs is distribution, not random noise.",
+    quiz: {
+      choice: {
+        question: "What is the most likely read of this old-coin movement?",
+        choices: ["Long-term holders distributing into strength", "Fresh accumulation by new whales", "Exchange cold-wallet reshuffling", "Miner capitulation"],
+        answer: 0,
+        explanation: "Old coins landing on exchanges with SOPR spiking is profit-taking. Wallet reshuffles don't realise profit, so SOPR wouldn't jump.",
+      },
+      numeric: {
+        question: "What share of the moved coins landed on exchanges, in percent?",
+        answer: 40, tolerance: 1, unit: "%",
+        explanation: "12,400 BTC on exchanges ÷ 31,000 BTC moved = 0.40 → 40%.",
+      },
+      ordering: {
+        question: "Put these steps of a long-term-holder distribution in order.",
+        items: ["Old coins move onchain", "Coins are deposited to exchanges", "LTH SOPR spikes as profits are realised", "Sell pressure hits spot order books"],
+        explanation: "Coins must move and reach an exchange before the sale realises profit and shows up as spot selling.",
+      },
+    },
+  },
+  {
+    title: "Stablecoin Supply Surges Into Weekend",
+    realEvent: "Fixture: USDT treasury minted $2B across Tron and Ethereum in one weekend.",
+    source: "https://example.com/fixtures/usdt-mint",
+    problem: "Tether minted $2B in three transactions while exchange stablecoin reserves rose 6% and BTC funding stayed flat at 0.01%. What does this signal?",
+    hints: ["Separate treasury mints from exchange deposits", "Funding rate tells you about leverage", "Stablecoin supply ratio compares dry powder to BTC cap"],
+    keyMetrics: ["Stablecoin Supply Ratio", "Exchange Stablecoin Reserve", "Funding Rate", "USDT Mint Volume"],
+    tools: ["DeFiLlama", "CryptoQuant", "Etherscan"],
+    teachingPoint: "Fresh stablecoin liquidity without leverage is spot buying power waiting to deploy.",
+    quiz: {
+      choice: {
+        question: "What does fresh stablecoin supply with flat funding most likely signal?",
+        choices: ["Dry powder arriving for spot buying", "Leveraged longs building up", "An imminent stablecoin depeg", "Exchange insolvency"],
+        answer: 0,
+        explanation: "Flat funding rules out a leverage build-up, so new stablecoins on exchanges are spot buying power. Depeg risk would show as redemptions, not mints.",
+      },
+      numeric: {
+        question: "What was the average size of each mint, in $M?",
+        answer: 666.7, tolerance: 1, unit: "$M",
+        explanation: "$2,000M ÷ 3 mints ≈ $666.7M per mint.",
+      },
+      ordering: {
+        question: "Order the path of newly minted stablecoins into the market.",
+        items: ["Treasury mints USDT", "USDT moves to exchange wallets", "Exchange stablecoin reserve rises", "Spot buying deploys the liquidity"],
+        explanation: "Supply is minted first, then routed to exchanges where it shows in reserves before being spent.",
+      },
+    },
+  },
+  {
+    title: "Lending Pool Nears Liquidation Cliff",
+    realEvent: "Fixture: a single wallet's ETH collateral on Aave approached its liquidation threshold.",
+    source: "https://example.com/fixtures/aave-cliff",
+    problem: "One wallet holds 84,000 ETH as collateral against $140M USDC on Aave with a health factor of 1.07. ETH dropped 5% in an hour and Aave utilisation for USDC hit 92%. What does this signal?",
+    hints: ["Compute the liquidation price from the health factor", "High utilisation makes repaying harder", "Check DEX depth for 84k ETH"],
+    keyMetrics: ["Health Factor", "Liquidation Threshold", "Utilization Rate", "DEX Liquidity Depth"],
+    tools: ["Aave dashboard", "DeFiLlama", "Arkham"],
+    teachingPoint: "Concentrated collateral turns a single liquidation into a market-wide cascade risk.",
+    quiz: {
+      choice: {
+        question: "What is the main risk this position creates?",
+        choices: ["A forced-liquidation cascade", "None — leverage is healthy", "Aave has already gone insolvent", "Bullish accumulation pressure"],
+        answer: 0,
+        explanation: "A 1.07 health factor is one sharp move from liquidation, and 84k ETH sold into thin DEX depth pushes price lower and triggers more liquidations.",
+      },
+      numeric: {
+        question: "Roughly how far, in percent, can ETH fall before the health factor reaches 1.0?",
+        answer: 6.5, tolerance: 0.5, unit: "%",
+        explanation: "Health factor scales with collateral value: 1 − 1/1.07 ≈ 0.065 → about 6.5%.",
+      },
+      ordering: {
+        question: "Order the steps of a liquidation cascade.",
+        items: ["ETH price drops", "Health factor falls below 1.0", "Liquidators repay debt and seize ETH", "Seized ETH is sold on DEXs, pushing price lower"],
+        explanation: "The price move breaks the health factor, liquidators act, and their selling feeds the next leg down.",
+      },
+    },
+  },
+];
+
+const MOCK_FEEDBACK = JSON.stringify({
+  scores: { metricAccuracy: 7, reasoning: 6, signalInterpretation: 7, actionability: 5 },
+  nailed: ["You tied the raw flow numbers to a behavioural read instead of just restating them."],
+  sharpen: ["Quantify the baseline — without a 90-day average the move has no scale."],
+  takeaway: "A metric only speaks once you know what normal looks like.",
+});
+
+const MOCK_THREAD = [
+  "🔍 Day 0 | Onchain puzzle: a fixture thread from the offline mock provider.",
+  "The data:\n• Metric one moved\n• Metric two confirmed\n• Metric three diverged",
+  "The analysis: flows lined up with positioning, not noise.",
+  "The conclusion: watch the baseline before calling a trend.",
+  "What would you check next? #OnchainAnalysis #Bitcoin #DeFi",
+];
+
+const PROVIDERS = {
+  gemini: {
+    id: "gemini", label: "Google Gemini", call: callGemini,
+    defaultModel: "gemini-2.5-flash",
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    needsKey: true, keyPlaceholder: "AIza...", grounding: true,
+  },
+  openai: {
+    id: "openai", label: "OpenAI-compatible", call: callOpenAICompatible,
+    defaultModel: "gpt-4o-mini",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    needsKey: false, keyPlaceholder: "sk-... (optional for local gateways)", grounding: false,
+  },
+  ollama: {
+    id: "ollama", label: "Ollama (local)", call: callOllama,
+    defaultModel: "llama3.1",
+    defaultBaseUrl: "http://localhost:11434",
+    needsKey: false, keyPlaceholder: "", grounding: false, local: true,
+  },
+  mock: {
+    id: "mock", label: "Offline fixtures", call: callMock,
+    defaultModel: "fixtures",
+    defaultBaseUrl: "",
+    needsKey: false, keyPlaceholder: "", grounding: false, local: true,
+  },
+};
+
+// callLLM — single entry point for every AI call in the app; resolves to
+// the text. callLLMResult keeps the whole provider result. Both retry
+// transient failures (see API ERRORS) and reject with an LLMError whose
+// message is the recovery hint to show — or with the AbortError.
+async function callLLMResult(cfg, prompt, systemInstruction = "", useSearch = false, opts = {}) {
+  const provider = PROVIDERS[cfg.provider];
+  if (!provider) throw new Error(`Unknown provider: ${cfg.provider}`);
+  const feature = opts.feature || "other";
+  // Metering must never fail the call it measures
+  const meter = (usage) => repo.addUsage(todayKey(), modelKey(cfg), feature, usage).catch(() => {});
+  await guardBudget(cfg, prompt + systemInstruction, feature, opts);
+  for (let attempt = 1; ; attempt++) {
+    let streamed = "";
+    const onText = opts.onText && ((text) => { streamed = text; opts.onText(text); });
+    try {
+      const result = await provider.call(cfg, prompt, systemInstruction, useSearch, { ...opts, onText });
+      // Billed even when checkResult rejects it: cut-off, blocked and empty replies too
+      meter(result.usage);
+      return checkResult(result, cfg, opts.acceptCutOff);
+    } catch (e) {
+      // A stream aborted mid-way was billed for what it generated so far;
+      // usage totals only arrive with the last event, so estimate it
+      if (isAbortError(e) && streamed) {
+        meter({ prompt: estimateTokens(prompt + systemInstruction), output: estimateTokens(streamed), grounding: 0 });
+      }
+      const err = toLLMError(e, cfg);
+      if (!err?.transient || attempt > LLM_MAX_RETRIES) throw err || e;
+      const delayMs = err.retryAfterMs ?? LLM_BACKOFF_MS * 2 ** (attempt - 1) * (0.75 + Math.random() / 2);
+      if (delayMs > LLM_MAX_WAIT_MS) throw err;
+      opts.onRetry?.({ error: err, attempt, delayMs });
+      await sleep(delayMs, opts.signal);
+    }
+  }
+}
+
+async function callLLM(cfg, prompt, systemInstruction = "", useSearch = false, opts = {}) {
+  return (await callLLMResult(cfg, prompt, systemInstruction, useSearch, opts)).text;
+}
+
+function llmReady(cfg) {
+  const provider = PROVIDERS[cfg.provider];
+  return !!provider && (!provider.needsKey || !!cfg.key);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API ERRORS + RETRY
+// Every provider failure becomes an LLMError with a kind from LLM_ERRORS.
+// Its message is the recovery hint for that kind, so callers keep showing
+// e.message as before; LLM_ERRORS[kind].title labels the error screens.
+// Transient kinds are retried by callLLMResult with exponential backoff, or
+// after the server's retry-after hint when it sends one.
+// ─────────────────────────────────────────────────────────────────────────────
+const LLM_MAX_RETRIES = 3;
+const LLM_BACKOFF_MS  = 1000;   // 1s, 2s, 4s (±25% jitter)
+const LLM_MAX_WAIT_MS = 30_000; // a longer retry-after is reported, not waited out
+
+const CUT_OFF_REASONS = new Set(["MAX_TOKENS", "length"]);
+const SAFETY_REASONS  = new Set(["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "content_filter"]);
+
+const secondsText = (ms) => `${Math.ceil(ms / 1000)}s`;
+
+// fix: "provider" = retrying can't help, the screen offers CHANGE PROVIDER first
+const LLM_ERRORS = {
+  auth: {
+    title: "INVALID_API_KEY", fix: "provider",
+    message: (e) => `${e.provider} rejected the API key (${e.detail}). Check that the key is correct and enabled for ${e.model}, then reconnect with CHANGE PROVIDER.`,
+  },
+  quota: {
+    title: "QUOTA_EXHAUSTED", fix: "provider",
+    message: (e) => `${e.provider} quota for ${e.model} is used up (${e.detail}). Free-tier daily quotas reset at midnight Pacific time — switch to another model or provider, or enable billing, to keep going now.`,
+  },
+  rate_limit: {
+    title: "RATE_LIMITED", transient: true,
+    message: (e) => `${e.provider} is rate limiting requests${e.retryAfterMs ? ` and asked to wait ${secondsText(e.retryAfterMs)}` : ""}. Wait${e.retryAfterMs ? " that long" : " a minute"}, then retry — free tiers allow only a few requests per minute.`,
+  },
+  unavailable: {
+    title: "PROVIDER_UNAVAILABLE", transient: true,
+    message: (e) => `${e.provider} is overloaded or down (HTTP ${e.status}). Retry in a minute, or switch to another model.`,
+  },
+  model: {
+    title: "UNKNOWN_MODEL", fix: "provider",
+    message: (e) => `${e.provider} doesn't serve "${e.model}" (${e.detail}). Fix the model name with CHANGE PROVIDER.`,
+  },
+  safety: {
+    title: "SAFETY_BLOCK",
+    message: (e) => `${e.provider} blocked the response (${e.finishReason}). Retry for a different topic, or rephrase your text if the block was on your input.`,
+  },
+  truncated: {
+    title: "RESPONSE_CUT_OFF",
+    message: (e) => `The response was cut off at the output token limit (finishReason ${e.finishReason}) before it was complete. Retry, or pick a model with a larger output budget.`,
+  },
+  empty: {
+    title: "EMPTY_RESPONSE", transient: true,
+    message: (e) => `${e.provider} returned an empty response${e.finishReason ? ` (finishReason ${e.finishReason})` : ""}. Retry in a moment.`,
+  },
+  network: {
+    title: "NETWORK_ERROR", transient: true,
+    message: (e) => `Couldn't reach ${e.provider}${e.baseUrl ? ` at ${e.baseUrl}` : ""}. Check your connection — or that the server is running — and retry.`,
+  },
+  budget: {
+    title: "BUDGET_CAP",
+    message: (e) => `Not sent — ${e.detail}. Raise or clear the cap in the USAGE panel to keep going.`,
+  },
+  request: {
+    title: "REQUEST_REJECTED",
+    message: (e) => `${e.provider} rejected the request (HTTP ${e.status}): ${e.detail}`,
+  },
+};
+
+class LLMError extends Error {
+  constructor(kind, cfg, { status, retryAfterMs, finishReason, detail = "", cause } = {}) {
+    const info = {
+      provider: PROVIDERS[cfg.provider]?.label || cfg.provider, model: cfg.model, baseUrl: cfg.baseUrl,
+      status, retryAfterMs, finishReason, detail,
+    };
+    super(LLM_ERRORS[kind].message(info));
+    this.name = "LLMError";
+    this.kind = kind;
+    this.transient = !!LLM_ERRORS[kind].transient;
+    Object.assign(this, info);
+    this.cause = cause;
+  }
+}
+
+// Gemini explains itself in google.rpc details (ErrorInfo, QuotaFailure,
+// RetryInfo); OpenAI-compatible servers in error.code and Retry-After;
+// Ollama only in the status and an error string.
+async function toHttpError(res, cfg) {
+  const body = await res.json().catch(() => ({}));
+  const err = typeof body?.error === "string" ? { message: body.error } : body?.error || {};
+  const details = Array.isArray(err.details) ? err.details : [];
+  const info = (type) => details.find(d => d["@type"]?.endsWith(type));
+  const status = res.status;
+  const perDay = info("QuotaFailure")?.violations?.some(v => /PerDay/i.test(v.quotaId || ""));
+  const kind =
+    status === 401 || status === 403 || info("ErrorInfo")?.reason === "API_KEY_INVALID" || err.code === "invalid_api_key" ? "auth"
+    : status === 429 ? (perDay || err.code === "insufficient_quota" ? "quota" : "rate_limit")
+    : status === 404 ? "model"
+    : status >= 500 ? "unavailable"
+    : "request";
+  return new LLMError(kind, cfg, {
+    status,
+    retryAfterMs: parseRetryAfter(res.headers.get("retry-after")) ?? parseRetryAfter(info("RetryInfo")?.retryDelay),
+    detail: err.message || `HTTP ${status}`,
+  });
+}
+
+// "30" (seconds), "1.5s" (google.protobuf.Duration) or an HTTP date → ms
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(String(value).replace(/s$/, ""));
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now());
+}
+
+// A 200 with no text is still a failure — say why when the provider did.
+// So is text cut off at the token limit, unless the caller repairs it itself
+// (acceptCutOff): half a feedback or thread must not be saved as complete.
+function checkResult(result, cfg, acceptCutOff = false) {
+  const reason = result.blockReason || result.finishReason;
+  if (result.text.trim()) {
+    if (CUT_OFF_REASONS.has(reason) && !acceptCutOff) throw new LLMError("truncated", cfg, { finishReason: reason });
+    return result;
+  }
+  if (result.blockReason || SAFETY_REASONS.has(reason)) throw new LLMError("safety", cfg, { finishReason: reason });
+  if (CUT_OFF_REASONS.has(reason)) throw new LLMError("truncated", cfg, { finishReason: reason });
+  throw new LLMError("empty", cfg, { finishReason: reason });
+}
+
+// LLMError as is, fetch's network TypeError wrapped; null for anything else
+// (aborts included), which callLLMResult rethrows untouched
+function toLLMError(e, cfg) {
+  if (e instanceof LLMError) return e;
+  if (e?.name === "TypeError" && /fetch|network|load failed/i.test(e.message)) {
+    const err = new LLMError("network", cfg, { cause: e });
+    // Offline, the outbox takes over — no point burning the retries
+    if (typeof navigator !== "undefined" && navigator.onLine === false) err.transient = false;
+    return err;
+  }
+  return null;
+}
+
+// Resolves after ms, or rejects with the AbortError as soon as signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// USAGE + COST
+// callLLMResult meters every answered call — usable or not — into meta "usage":
+// { [dateKey]: { ["provider/model"]: { [feature]: { calls, prompt, output, grounding } } } }
+// Costs are estimates: MODEL_PRICES are list prices in USD per 1M tokens
+// (overridable per model in the USAGE panel, pref "modelPrices"), local
+// providers are free, and unknown models cost nothing until priced.
+// pref "budget" = { dailyUsd, monthlyUsd } (0 = no cap): before each call,
+// guardBudget asks for confirmation if a worst-case estimate of the call
+// would take the spend past a cap. Calls without a confirmBudget (outbox
+// replays) are refused instead.
+// ─────────────────────────────────────────────────────────────────────────────
+const USAGE_FEATURES = [
+  { id: "challenge", label: "Challenges" },
+  { id: "feedback",  label: "Feedback" },
+  { id: "thread",    label: "Threads" },
+  { id: "keytest",   label: "Key tests" },
+  { id: "other",     label: "Other (glossary...)" },
+];
+const USAGE_KEEP_DAYS = 400;
+const DEFAULT_BUDGET = { dailyUsd: 0, monthlyUsd: 0 };
+
+// Longest matching prefix wins, so dated/preview variants share a price
+const MODEL_PRICES = {
+  "gemini-2.5-pro":        { input: 1.25,  output: 10 },
+  "gemini-2.5-flash":      { input: 0.30,  output: 2.50 },
+  "gemini-2.5-flash-lite": { input: 0.10,  output: 0.40 },
+  "gemini-2.0-flash":      { input: 0.10,  output: 0.40 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.30 },
+  "gpt-4o":                { input: 2.50,  output: 10 },
+  "gpt-4o-mini":           { input: 0.15,  output: 0.60 },
+  "gpt-4.1":               { input: 2,     output: 8 },
+  "gpt-4.1-mini":          { input: 0.40,  output: 1.60 },
+  "gpt-4.1-nano":          { input: 0.10,  output: 0.40 },
+};
+
+const modelKey = (cfg) => `${cfg.provider}/${cfg.model}`;
+
+function splitModelKey(key) {
+  const i = key.indexOf("/");
+  return { provider: key.slice(0, i), model: key.slice(i + 1) };
+}
+
+// Rough, for budget estimates and fixtures only — real counts come from the provider
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+// { input, output } USD per 1M tokens, or null when the model is unknown
+function modelPrice(provider, model, overrides = loadPref("modelPrices", {})) {
+  if (PROVIDERS[provider]?.local) return { input: 0, output: 0 };
+  if (overrides[model]) return overrides[model];
+  const match = Object.keys(MODEL_PRICES).filter(k => model.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : null;
+}
+
+function usageCost(price, u) {
+  return ((u.prompt + u.grounding) * price.input + u.output * price.output) / 1e6;
+}
+
+// Today's and this month's totals, overall and per feature, plus this
+// month per model: { today, month, features: { [id]: { today, month } },
+// models: [{ key, provider, model, price, ...row }], unpriced }
+function usageTotals(usage, today, overrides = loadPref("modelPrices", {})) {
+  const blank = () => ({ calls: 0, prompt: 0, output: 0, grounding: 0, cost: 0 });
+  const add = (target, row) => Object.keys(blank()).forEach(k => { target[k] += row[k] || 0; });
+  const out = { today: blank(), month: blank(), features: {}, models: {}, unpriced: false };
+  for (const [dateKey, models] of Object.entries(usage || {})) {
+    if (dateKey.slice(0, 7) !== today.slice(0, 7)) continue;
+    for (const [key, features] of Object.entries(models)) {
+      const { provider, model } = splitModelKey(key);
+      const price = modelPrice(provider, model, overrides);
+      out.models[key] ||= { key, provider, model, price, ...blank() };
+      for (const [feature, u] of Object.entries(features)) {
+        const row = { ...u, cost: price ? usageCost(price, u) : 0 };
+        const f = (out.features[feature] ||= { today: blank(), month: blank() });
+        [out.month, f.month, out.models[key]].forEach(t => add(t, row));
+        if (dateKey === today) [out.today, f.today].forEach(t => add(t, row));
+        out.unpriced ||= !price && u.calls > 0;
+      }
+    }
+  }
+  return { ...out, models: Object.values(out.models).sort((a, b) => b.cost - a.cost || b.calls - a.calls) };
+}
+
+function formatUsd(n) {
+  return n > 0 && n < 0.01 ? `$${n.toFixed(4)}` : `$${n.toFixed(2)}`;
+}
+
+function formatTokens(n) {
+  return n >= 1e6 ? `${(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n);
+}
+
+// Asked once per cap and period: after an OK, calls go through until the
+// day/month rolls over or the cap changes
+const budgetOverrides = new Set();
+
+// confirmBudget(detail, signal) resolves true to send the call anyway
+async function guardBudget(cfg, promptText, feature, { confirmBudget, signal } = {}) {
+  const budget = { ...DEFAULT_BUDGET, ...loadPref("budget", {}) };
+  if (feature === "keytest" || (!budget.dailyUsd && !budget.monthlyUsd)) return;
+  const price = modelPrice(cfg.provider, cfg.model);
+  if (!price?.input && !price?.output) return;
+  const estimate = usageCost(price, { prompt: estimateTokens(promptText), output: LLM_MAX_OUTPUT_TOKENS, grounding: 0 });
+  const today = todayKey();
+  const totals = usageTotals(await repo.getMeta("usage").catch(() => null), today);
+  const over = [
+    ["daily", budget.dailyUsd, totals.today.cost, today],
+    ["monthly", budget.monthlyUsd, totals.month.cost, today.slice(0, 7)],
+  ].find(([, cap, spent]) => cap > 0 && spent + estimate > cap);
+  if (!over) return;
+  const [period, cap, spent, periodKey] = over;
+  const ack = `${period}:${periodKey}:${cap}`;
+  if (budgetOverrides.has(ack)) return;
+  const detail = `this call (up to ~${formatUsd(estimate)}) would take the ${period} spend from ${formatUsd(spent)} past the ${formatUsd(cap)} cap`;
+  signal?.throwIfAborted();
+  const ok = await confirmBudget?.(detail, signal);
+  signal?.throwIfAborted();
+  if (!ok) throw new LLMError("budget", cfg, { detail });
+  budgetOverrides.add(ack);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // ROBUST JSON EXTRACTOR
 // Handles: markdown fences, truncated strings, trailing commas, extra text
+// Returns { data, repair } — repair is "clean", "repaired" (repairJSON fixed
+// it) or "regex" (fields scraped one by one; expect gaps)
 // ─────────────────────────────────────────────────────────────────────────────
 function extractJSON(raw) {
   // 1. Strip markdown code fences
@@ -48,14 +697,14 @@ function extractJSON(raw) {
   }
 
   // 3. Try clean parse first
-  try { return JSON.parse(text); } catch (_) {}
+  try { return { data: JSON.parse(text), repair: "clean" }; } catch (_) {}
 
   // 4. Auto-repair truncated JSON
   const repaired = repairJSON(text);
-  try { return JSON.parse(repaired); } catch (_) {}
+  try { return { data: JSON.parse(repaired), repair: "repaired" }; } catch (_) {}
 
   // 5. Field-by-field regex extraction as last resort
-  return extractFieldsByRegex(raw);
+  return { data: extractFieldsByRegex(raw), repair: "regex" };
 }
 
 function repairJSON(text) {
@@ -97,214 +746,2601 @@ function extractFieldsByRegex(text) {
     if (!m) return [];
     return (m[1].match(/"((?:[^"\\\\]|\\\\.)*)"/g) || []).map(s => s.slice(1, -1));
   };
+  // No placeholders — missing fields stay empty so validateChallenge flags them
   return {
-    title:         str("title")         || "Daily Onchain Challenge",
-    realEvent:     str("realEvent")     || "",
-    source:        str("source")        || "",
-    problem:       str("problem")       || "Could not parse challenge. Try regenerating.",
+    title:         str("title"),
+    realEvent:     str("realEvent"),
+    source:        str("source"),
+    problem:       str("problem"),
     hints:         arr("hints"),
     keyMetrics:    arr("keyMetrics"),
     tools:         arr("tools"),
-    teachingPoint: str("teachingPoint") || "",
+    teachingPoint: str("teachingPoint"),
   };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// UTILS
+// CHALLENGE SCHEMA + VALIDATION
 // ─────────────────────────────────────────────────────────────────────────────
-function todayKey() {
-  return new Date().toISOString().slice(0, 10); // "2026-02-25"
+const CHALLENGE_SCHEMA = {
+  title:         { type: "string", minLength: 5,  maxLength: 120 },
+  realEvent:     { type: "string", minLength: 20 },
+  source:        { type: "string", format: "url" },
+  problem:       { type: "string", minLength: 60 },
+  hints:         { type: "array",  minItems: 2, maxItems: 5 },
+  keyMetrics:    { type: "array",  minItems: 3, maxItems: 6 },
+  tools:         { type: "array",  minItems: 2, maxItems: 5 },
+  teachingPoint: { type: "string", minLength: 15 },
+};
+
+const MAX_CHALLENGE_REPROMPTS = 2; // extra model calls after the first one
+
+function isHttpUrl(s) {
+  try { return ["http:", "https:"].includes(new URL(s).protocol); } catch { return false; }
 }
 
-function getDayNumber() {
-  const start = new Date("2025-01-01");
-  return Math.floor((Date.now() - start) / 86400000) + 1;
+// → { valid, errors: [{ field, message }] }
+function validateChallenge(obj, schema = CHALLENGE_SCHEMA) {
+  const errors = [];
+  const err = (field, message) => errors.push({ field, message });
+  for (const [field, rule] of Object.entries(schema)) {
+    const v = obj?.[field];
+    if (v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length)) {
+      err(field, "is missing");
+      continue;
+    }
+    if (rule.type === "string") {
+      if (typeof v !== "string") { err(field, "must be a string"); continue; }
+      if (rule.minLength && v.trim().length < rule.minLength) err(field, `is too short (min ${rule.minLength} chars)`);
+      if (rule.maxLength && v.length > rule.maxLength) err(field, `is too long (max ${rule.maxLength} chars)`);
+      if (rule.format === "url" && !isHttpUrl(v.trim())) err(field, "must be a full http(s) URL, not a publication name");
+    }
+    if (rule.type === "array") {
+      if (!Array.isArray(v)) { err(field, "must be an array of strings"); continue; }
+      if (v.some(x => typeof x !== "string" || !x.trim())) err(field, "must only contain non-empty strings");
+      if (rule.minItems && v.length < rule.minItems) err(field, `needs at least ${rule.minItems} items (got ${v.length})`);
+      if (rule.maxItems && v.length > rule.maxItems) err(field, `allows at most ${rule.maxItems} items (got ${v.length})`);
+    }
+    if (rule.type === "number") {
+      if (typeof v !== "number" || !Number.isFinite(v)) { err(field, "must be a plain JSON number"); continue; }
+      if (rule.integer && !Number.isInteger(v)) err(field, "must be a whole number");
+      if (rule.min !== undefined && v < rule.min) err(field, `must be ≥ ${rule.min}`);
+    }
+    const custom = rule.check?.(v, obj);
+    if (custom) err(field, custom);
+  }
+  return { valid: errors.length === 0, errors };
 }
 
-const CATEGORIES = [
-  { id: "btc",   label: "BTC Fundamentals", emoji: "₿",  color: "#f7931a" },
-  { id: "eth",   label: "ETH Fundamentals", emoji: "Ξ",  color: "#627eea" },
-  { id: "whale", label: "Whale Tracking",   emoji: "🐋", color: "#0ea5e9" },
-  { id: "defi",  label: "DeFi Analytics",   emoji: "🏦", color: "#00c9a7" },
-  { id: "nft",   label: "NFT Markets",      emoji: "🖼", color: "#a855f7" },
-  { id: "l2",    label: "L2 & Mempool",     emoji: "⚡", color: "#f59e0b" },
-  { id: "macro", label: "Cross-Chain Macro",emoji: "🌐", color: "#ef4444" },
-];
+function buildRepromptPrompt(originalPrompt, raw, errors) {
+  return `${originalPrompt}
 
-const DIFFICULTIES = ["Beginner", "Intermediate", "Advanced"];
-const DIFF_COLORS   = { Beginner: "#00c9a7", Intermediate: "#f59e0b", Advanced: "#ef4444" };
+Your previous response was:
+${raw.slice(0, 3000)}
 
-// Deterministically pick today's category + difficulty so everyone gets same type
-function getTodayMeta(offsetDays = 0) {
-  const day = getDayNumber() + offsetDays;
-  const cat  = CATEGORIES[day % CATEGORIES.length];
-  const diff = DIFFICULTIES[Math.floor(day / CATEGORIES.length) % DIFFICULTIES.length];
-  return { cat, diff, day };
+It failed validation:
+${errors.map(e => `- "${e.field}" ${e.message}`).join("\n")}
+
+Keep the same real event. Fix ONLY these problems and return the complete corrected JSON object — raw JSON, no markdown.`;
+}
+
+// Ask for a challenge, validate it, and re-prompt with the specific errors up
+// to MAX_CHALLENGE_REPROMPTS times. Never throws for a usable-but-imperfect
+// result: it comes back with validation.status "partial" instead.
+// validation = { status: "clean" | "repaired" | "partial", calls, errors }
+// grounding = citeChallenge's result for the kept response, or null
+// opts = { signal, onRetry } as for callLLM; every call meters as "challenge".
+// Cut-off JSON is repaired and re-prompted here like any other invalid reply.
+async function generateValidatedChallenge(cfg, prompt, schema = CHALLENGE_SCHEMA, opts = {}) {
+  const callOpts = { ...opts, feature: "challenge", template: "search", acceptCutOff: true };
+  let { text: raw, grounding, finishReason } = await callLLMResult(cfg, prompt, "", true, callOpts);
+  let { data, repair } = extractJSON(raw);
+  let report = validateChallenge(data, schema);
+  let calls = 1;
+
+  while (!report.valid && calls <= MAX_CHALLENGE_REPROMPTS) {
+    const res = await callLLMResult(cfg, buildRepromptPrompt(prompt, raw, report.errors), "", true, callOpts);
+    raw = res.text;
+    ({ finishReason } = res);
+    const next = extractJSON(raw);
+    const nextReport = validateChallenge(next.data, schema);
+    calls++;
+    // Keep whichever attempt is closer to valid. A re-prompt keeps the same
+    // event, so an ungrounded fix still inherits the earlier citations.
+    if (nextReport.errors.length <= report.errors.length) {
+      ({ data } = next);
+      report = nextReport;
+      repair = repair === "clean" ? next.repair : repair;
+      if (res.grounding?.sources.length) grounding = res.grounding;
+    }
+  }
+
+  if (!data.title || !data.problem) {
+    if (CUT_OFF_REASONS.has(finishReason)) throw new LLMError("truncated", cfg, { finishReason });
+    throw new Error(`The model returned an unusable challenge after ${calls} tries: ${report.errors.map(e => `${e.field} ${e.message}`).join("; ")}. Tap Regenerate to try again.`);
+  }
+  const status = !report.valid ? "partial" : calls > 1 || repair !== "clean" ? "repaired" : "clean";
+  return { data, validation: { status, calls, repair, errors: report.errors }, grounding: citeChallenge(data, grounding) };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// PROMPT BUILDERS
+// SEARCH GROUNDING
+// Gemini's groundingMetadata, trimmed to what the SOURCES panel needs:
+// { queries: [string], sources: [{ uri, title }],
+//   supports: [{ text, sources: [index], confidence: [0-1] }] }
+// citeChallenge adds citations: [{ field, sentence, sources: [index] }] —
+// which sentence of each CITED_FIELDS field the sources back up.
 // ─────────────────────────────────────────────────────────────────────────────
+const CITED_FIELDS = ["realEvent", "problem"];
 
-// SEARCH QUERY: tells Gemini what real event to find first
-function buildSearchQuery(cat, diff) {
-  const queries = {
-    btc:   `Bitcoin onchain analysis ${todayKey().slice(0,7)} miner exchange flows SOPR MVRV realized price whale accumulation`,
-    eth:   `Ethereum onchain data ${todayKey().slice(0,7)} staking withdrawals burn rate validator queue ETH flows`,
-    whale: `crypto whale wallet large transaction onchain ${todayKey().slice(0,7)} Bitcoin Ethereum accumulation exchange deposit`,
-    defi:  `DeFi protocol onchain event ${todayKey().slice(0,7)} TVL liquidation Aave Uniswap Curve exploit yield`,
-    nft:   `NFT onchain data ${todayKey().slice(0,7)} wash trading floor price manipulation collection volume`,
-    l2:    `Ethereum L2 onchain ${todayKey().slice(0,7)} Arbitrum Optimism bridge MEV sequencer rollup activity`,
-    macro: `crypto stablecoin onchain macro ${todayKey().slice(0,7)} USDT USDC flows depeg market structure`,
-  };
-  return queries[cat.id] || `crypto onchain analysis event ${todayKey().slice(0,7)}`;
+function normalizeGrounding(meta) {
+  if (!meta) return null;
+  // Only web chunks become sources; groundingChunkIndices point into all
+  // chunks, so they're remapped to source indices and the rest dropped
+  const sources = [];
+  const sourceIndex = new Map();
+  (meta.groundingChunks || []).forEach((c, i) => {
+    if (!c.web) return;
+    sourceIndex.set(i, sources.length);
+    sources.push({ uri: c.web.uri, title: c.web.title || c.web.uri });
+  });
+  const supports = (meta.groundingSupports || [])
+    .filter(s => s.segment?.text)
+    .map(s => {
+      const cited = (s.groundingChunkIndices || []).map((chunk, j) => [sourceIndex.get(chunk), s.confidenceScores?.[j]]).filter(([i]) => i !== undefined);
+      return { text: s.segment.text, sources: cited.map(([i]) => i), confidence: s.confidenceScores ? cited.map(([, score]) => score) : [] };
+    })
+    .filter(s => s.sources.length);
+  return { queries: meta.webSearchQueries || [], sources, supports };
 }
 
-// PHASE 1 prompt: search for a real event (uses Google Search grounding)
-function buildSearchPrompt(cat, diff, day) {
-  return `Search the web right now for a REAL, VERIFIABLE onchain event that happened recently (last 30-60 days) related to: ${cat.label}.
+function splitSentences(text) {
+  return String(text || "").split(/(?<=[.!?])\s+/).map(t => t.trim()).filter(Boolean);
+}
 
-Search for: ${buildSearchQuery(cat, diff)}
+// Supported segments are slices of the raw JSON the model wrote, so keys,
+// quotes and escapes are stripped before comparing with the parsed fields
+function cleanSegment(text) {
+  return text
+    .replace(/"\w+"\s*:\s*"?/g, " ")
+    .replace(/\\"/g, '"')
+    .replace(/[{}[\]]|",?/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
 
-Find ONE specific real event with:
-- Actual transaction hashes, wallet addresses, or protocol names
-- Real numbers (specific dollar amounts, percentages, token quantities)
-- A date it happened
-- A source (Glassnode, Nansen, Arkham, DeFiLlama, CryptoQuant, news article, etc.)
+function citeChallenge(data, grounding) {
+  if (!grounding) return null;
+  const segments = grounding.supports.map(s => ({ ...s, clean: cleanSegment(s.text) })).filter(s => s.clean.length >= 15);
+  const citations = CITED_FIELDS.flatMap(field => splitSentences(data[field]).map(sentence => {
+    const needle = cleanSegment(sentence);
+    const sources = new Set();
+    for (const s of segments) {
+      if (s.clean.includes(needle) || needle.includes(s.clean)) s.sources.forEach(i => sources.add(i));
+    }
+    return { field, sentence, sources: [...sources].sort((a, b) => a - b) };
+  }));
+  return { ...grounding, citations };
+}
 
-Then format it as a practice challenge for Day ${day} (difficulty: ${diff}) in this EXACT JSON shape — no markdown, no backticks, just raw JSON:
-{
-  "title": "Short punchy title based on the real event (5-8 words)",
-  "realEvent": "One sentence: what actually happened, when, and where it was reported",
-  "source": "URL or source name where this can be verified",
-  "problem": "2-3 sentences describing the real onchain data as a puzzle. Include the actual numbers. End with one question: what does this signal?",
-  "hints": ["hint using real metric names", "hint about what to look up", "hint about the pattern"],
-  "keyMetrics": ["Exact metric name 1", "Exact metric name 2", "Exact metric name 3", "Exact metric name 4"],
-  "tools": ["Tool where you can verify this data", "Tool 2", "Tool 3"],
-  "teachingPoint": "One sentence: what onchain concept this real event teaches"
+// No search grounding stored → the event and its source are only the model's word
+function isUnverified(ch) {
+  return !ch?.grounding?.sources?.length;
 }
 
-CRITICAL RULES:
-- The event MUST be real and verifiable — do not invent or hallucinate data
-- If you cannot find a real recent event for this exact category, find the closest real onchain event from any category in the last 60 days
-- Include the actual source URL or publication name so the user can go verify it
-- Difficulty ${diff} framing: ${diff === "Beginner" ? "present the data clearly, ask what the basic signal means" : diff === "Intermediate" ? "ask the user to connect 2-3 onchain signals to form a thesis" : "ask the user to reason through multi-step implications and edge cases"}`;
+// ─────────────────────────────────────────────────────────────────────────────
+// ANSWER MODES + LOCAL GRADING
+// Quiz-style challenges carry their own answer, so they're graded in the
+// browser with no API call. "open" is the classic free-text challenge.
+// ─────────────────────────────────────────────────────────────────────────────
+const ANSWER_TYPES = {
+  open: { id: "open", label: "Open", shape: "", rules: "", schema: {} },
+  choice: {
+    id: "choice", label: "Choice",
+    shape: `,
+  "answerType": "choice",
+  "question": "The single question the choices answer",
+  "choices": ["Option A", "Option B", "Option C", "Option D"],
+  "answer": 0,
+  "explanation": "2 sentences: why the correct option is right and the most tempting wrong one is wrong"`,
+    rules: "- \"answer\" is the 0-based index of the ONE correct entry in \"choices\"; the distractors must be plausible misreads of the same data",
+    schema: {
+      question:    { type: "string", minLength: 10 },
+      choices:     { type: "array",  minItems: 3, maxItems: 5 },
+      answer:      { type: "number", integer: true, check: (v, o) => Array.isArray(o.choices) && (v < 0 || v >= o.choices.length) ? "must index into choices" : "" },
+      explanation: { type: "string", minLength: 20 },
+    },
+  },
+  numeric: {
+    id: "numeric", label: "Numeric",
+    shape: `,
+  "answerType": "numeric",
+  "question": "Ask for ONE number computable from the figures in the problem",
+  "answer": 0,
+  "tolerance": 0,
+  "unit": "%, $M, BTC...",
+  "explanation": "Show the calculation step by step"`,
+    rules: "- \"answer\" and \"tolerance\" are plain JSON numbers (no units, no strings); tolerance is the absolute error still counted as correct",
+    schema: {
+      question:    { type: "string", minLength: 10 },
+      answer:      { type: "number" },
+      tolerance:   { type: "number", min: 0 },
+      explanation: { type: "string", minLength: 20 },
+    },
+  },
+  ordering: {
+    id: "ordering", label: "Ordering",
+    shape: `,
+  "answerType": "ordering",
+  "question": "What to order, e.g. 'Put these onchain events in the order they happened'",
+  "items": ["First", "Second", "Third", "Fourth"],
+  "explanation": "Why this is the right sequence"`,
+    rules: "- \"items\" MUST be listed in the CORRECT order; the app shuffles them",
+    schema: {
+      question:    { type: "string", minLength: 10 },
+      items:       { type: "array",  minItems: 3, maxItems: 6, check: (v) => new Set(v).size !== v.length ? "must not repeat items" : "" },
+      explanation: { type: "string", minLength: 20 },
+    },
+  },
+};
+
+// Preference: a fixed type, or "mixed" = rotate through all four by day
+const ANSWER_MODES = [...Object.keys(ANSWER_TYPES), "mixed"];
+
+function resolveAnswerType(mode, day) {
+  if (mode !== "mixed") return ANSWER_TYPES[mode] ? mode : "open";
+  const ids = Object.keys(ANSWER_TYPES);
+  return ids[day % ids.length];
 }
 
-function getCategoryAngles(id) {
-  const map = {
-    btc:   "HODL waves, UTXO age bands, exchange reserves, miner behavior, SOPR, realized price, MVRV",
-    eth:   "staking flows, validator queue, EIP-1559 burn, blob fees, LST dominance, restaking risks",
-    whale: "wallet clustering, exchange inflows/outflows, OTC desk signals, accumulation patterns, insider timing",
-    defi:  "TVL flows, liquidation cascades, yield farming incentives, protocol revenue, ve-token governance, bad debt",
-    nft:   "wash trading patterns, floor price manipulation, royalty evasion, collection lifecycle, blue-chip divergence",
-    l2:    "bridge flows, MEV extraction, sequencer centralization, gas arbitrage, rollup proof delays",
-    macro: "stablecoin dominance, BTC correlation with TradFi, regulatory flow impact, stablecoin depegs, cross-chain contagion",
-  };
-  return map[id] || "general onchain patterns";
+function challengeSchema(answerType = "open") {
+  return { ...CHALLENGE_SCHEMA, ...ANSWER_TYPES[answerType]?.schema };
 }
 
-function buildFeedbackPrompt(challenge, analysis, conclusion) {
-  return `Challenge: "${challenge.title}"
-Problem: ${challenge.problem}
-Teaching point: ${challenge.teachingPoint}
+const QUIZ_FIELDS = new Set(Object.values(ANSWER_TYPES).flatMap(t => Object.keys(t.schema)));
+
+// answerType is set by the app, never taken from the model's JSON. A quiz
+// whose own fields failed validation (a "partial" challenge) or an unknown
+// type (older cached challenges) is played as open-ended instead.
+function settleAnswerType(ch, answerType = ch.answerType) {
+  const type = ANSWER_TYPES[answerType];
+  if (type && answerType !== "open" && validateChallenge(ch, type.schema).valid) return { ...ch, answerType };
+  return { ...Object.fromEntries(Object.entries(ch).filter(([k]) => !QUIZ_FIELDS.has(k))), answerType: "open" };
+}
 
-Student's analysis: ${analysis}
-Student's conclusion: ${conclusion}
+// Deterministic shuffle so reloading shows the same starting order, and never
+// the solved order
+function shuffledItems(challenge) {
+  const items = [...challenge.items];
+  let seed = hashString(challenge.title + challenge.dateKey);
+  for (let i = items.length - 1; i > 0; i--) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    const j = seed % (i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  if (items.every((x, i) => x === challenge.items[i])) items.push(items.shift());
+  return items;
+}
 
-Evaluate this onchain analysis. Be direct and specific. Format your response in exactly 3 sections using these headers:
+function parseNumber(text) {
+  const n = parseFloat(String(text).replace(/[,\s$%]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
 
-✅ WHAT YOU NAILED
-(2-3 specific things they got right, reference exact points from their analysis)
+// → { correct, score: 0..1, detail }
+function gradeAnswer(challenge, response) {
+  switch (challenge.answerType) {
+    case "choice": {
+      const correct = response === challenge.answer;
+      return {
+        correct, score: correct ? 1 : 0,
+        detail: correct ? "Correct." : `Correct answer: ${challenge.choices[challenge.answer]}`,
+      };
+    }
+    case "numeric": {
+      const v = parseNumber(response);
+      if (v === null) return { correct: false, score: 0, detail: "Enter a number." };
+      const err = Math.abs(v - challenge.answer);
+      const tol = challenge.tolerance || 0;
+      const correct = err <= tol;
+      const unit = challenge.unit ? ` ${challenge.unit}` : "";
+      return {
+        correct,
+        score: correct ? 1 : err <= tol * 2 ? 0.5 : 0,
+        detail: correct
+          ? `Correct — answer ${challenge.answer}${unit} (±${tol}).`
+          : `Off by ${Math.round(err * 100) / 100}${unit}. Answer: ${challenge.answer}${unit} (±${tol}).`,
+      };
+    }
+    case "ordering": {
+      const hits = response.filter((x, i) => x === challenge.items[i]).length;
+      const correct = hits === challenge.items.length;
+      return {
+        correct, score: hits / challenge.items.length,
+        detail: correct ? "Perfect order." : `${hits}/${challenge.items.length} in the right position.`,
+      };
+    }
+    default:
+      return { correct: false, score: 0, detail: "This challenge is open-ended — use AI feedback." };
+  }
+}
 
-🔧 SHARPEN THIS
-(1-2 specific gaps, missed metrics, or wrong assumptions — be rigorous)
+// ─────────────────────────────────────────────────────────────────────────────
+// STRUCTURED FEEDBACK
+// Feedback entry = { scores: { [dimension]: 1-10 }, overall, nailed: [],
+//   sharpen: [], takeaway, text, at, prompts }. text is a readable rendering
+// kept for the journal/history; entries from before scoring only have
+// { text, at }, and replies with a missing or invalid score keep their
+// sections without scores/overall. prompts = promptVersions at generation time.
+// ─────────────────────────────────────────────────────────────────────────────
+const FEEDBACK_DIMENSIONS = [
+  { id: "metricAccuracy",       label: "Metric accuracy",       color: "#00c9a7", question: "right metrics chosen and numbers read correctly" },
+  { id: "reasoning",            label: "Reasoning",             color: "#0ea5e9", question: "logic connects the data to the conclusion without leaps" },
+  { id: "signalInterpretation", label: "Signal interpretation", color: "#a855f7", question: "correct read of what the onchain signal means, incl. alternative explanations" },
+  { id: "actionability",        label: "Actionability",         color: "#f59e0b", question: "conclusion says what to watch or do next" },
+];
 
-💡 CORE TAKEAWAY
-(One memorable sentence they should never forget about this type of onchain signal)
+function formatFeedbackText(fb) {
+  return [
+    "✅ WHAT YOU NAILED", ...fb.nailed.map(x => `• ${x}`), "",
+    "🔧 SHARPEN THIS",    ...fb.sharpen.map(x => `• ${x}`), "",
+    "💡 CORE TAKEAWAY",   fb.takeaway,
+    ...(fb.scores ? ["", "📊 SCORES " + FEEDBACK_DIMENSIONS.map(d => `${d.label} ${fb.scores[d.id]}/10`).join(" · ")] : []),
+  ].join("\n");
+}
 
-Keep total response under 220 words. Use onchain analyst language. Don't be generic.`;
+// Falls back to an unscored { text } entry if the model ignored the JSON
+// shape; a missing or out-of-range score only drops the scores
+function parseFeedback(raw) {
+  const { data } = extractJSON(raw);
+  const list = (v) => (Array.isArray(v) ? v : v ? [v] : []).map(String).filter(x => x.trim());
+  const sections = { nailed: list(data?.nailed), sharpen: list(data?.sharpen), takeaway: String(data?.takeaway || "") };
+  const scores = {};
+  for (const d of FEEDBACK_DIMENSIONS) {
+    const n = Math.round(Number(data?.scores?.[d.id]));
+    if (!Number.isFinite(n) || n < 1) {
+      if (!sections.nailed.length && !sections.sharpen.length && !sections.takeaway) return { text: raw.trim() };
+      return { ...sections, text: formatFeedbackText(sections) };
+    }
+    scores[d.id] = Math.min(10, n);
+  }
+  const overall = Math.round(FEEDBACK_DIMENSIONS.reduce((sum, d) => sum + scores[d.id], 0) / FEEDBACK_DIMENSIONS.length * 10) / 10;
+  const fb = { scores, overall, ...sections };
+  return { ...fb, text: formatFeedbackText(fb) };
 }
 
-function buildThreadPrompt(challenge, analysis, conclusion, dayNum) {
-  return `You're writing a viral crypto Twitter thread for Day ${dayNum} of someone's daily onchain analysis practice.
+// While feedback streams in: extractJSON repairs the truncated JSON, so the
+// scores show as soon as they've arrived and the lists fill in behind them
+function previewFeedback(partial) {
+  try {
+    const fb = parseFeedback(partial);
+    return fb.scores ? fb : null;
+  } catch {
+    return null;
+  }
+}
 
-Challenge: "${challenge.title}" (${challenge.category} · ${challenge.difficulty})
-Problem studied: ${challenge.problem}
-Their analysis: ${analysis}
-Their conclusion: ${conclusion}
+// Latest scored feedback of each attempt, grouped by category id, oldest first:
+// { [catId]: [{ day, dateKey, scores, overall }] }
+function scoreSeriesByCategory(attempts) {
+  const series = {};
+  for (const a of [...attempts].sort((x, y) => (x.day ?? 0) - (y.day ?? 0))) {
+    const fb = [...a.feedback].reverse().find(f => f.scores);
+    const cat = CATEGORIES.find(c => c.label === a.category);
+    if (!fb || !cat) continue;
+    (series[cat.id] ||= []).push({ day: a.day, dateKey: a.dateKey, scores: fb.scores, overall: fb.overall });
+  }
+  return series;
+}
 
-Write a 5-tweet thread that:
-Tweet 1 — Hook: the puzzle with the most shocking/interesting number. Start with "🔍 Day ${dayNum} | Onchain puzzle:"
-Tweet 2 — The data: bullet points with the key onchain metrics from the problem  
-Tweet 3 — The analysis: what the data actually means (use their analysis, make it crisp)
-Tweet 4 — The conclusion + actionable insight
-Tweet 5 — End with a thought-provoking question for followers + 3-4 relevant hashtags (always include #OnchainAnalysis)
+// ─────────────────────────────────────────────────────────────────────────────
+// SKILL PROFILE + ADAPTIVE DIFFICULTY
+// Per-category Elo-style rating 0-100 where each difficulty is the
+// "opponent". Adaptive mode is opt-in; the default stays the deterministic
+// everyone-gets-the-same-type rotation from getTodayMeta.
+// skills = { [catId]: { rating, samples, updatedAt } } in meta "skills"
+// ─────────────────────────────────────────────────────────────────────────────
+const SKILL_START  = 40;
+const SKILL_K      = 12;
+const DIFF_RATINGS = { Beginner: 30, Intermediate: 60, Advanced: 85 };
 
-Rules:
-- Each tweet MUST be under 270 characters (strict limit)
-- Use their actual analysis and numbers — this should feel authentic, not templated
-- No hype language, pure data-driven insight
-- Make it educational AND engaging — imagine 10k followers reading this
+function expectedPerformance(rating, diff) {
+  return 1 / (1 + 10 ** ((DIFF_RATINGS[diff] - rating) / 25));
+}
+
+// performance: 0..1 (feedback overall rescaled, or a graded answer's score)
+function updateSkillRating(skill, diff, performance) {
+  const { rating = SKILL_START, samples = 0 } = skill || {};
+  const next = rating + SKILL_K * (performance - expectedPerformance(rating, diff));
+  return { rating: Math.round(Math.min(100, Math.max(0, next)) * 10) / 10, samples: samples + 1, updatedAt: Date.now() };
+}
+
+function difficultyForRating(rating) {
+  return rating < 45 ? "Beginner" : rating < 72 ? "Intermediate" : "Advanced";
+}
 
-Separate each tweet with exactly: ---TWEET---
-Return ONLY the tweets, nothing else.`;
+// Lowest rating wins; ties go to the least-practised, then rotate by day
+function weakestCategory(skills, day) {
+  const n = CATEGORIES.length;
+  return [...CATEGORIES].sort((a, b) => {
+    const sa = skills[a.id], sb = skills[b.id];
+    return (sa?.rating ?? SKILL_START) - (sb?.rating ?? SKILL_START)
+      || (sa?.samples ?? 0) - (sb?.samples ?? 0)
+      || ((CATEGORIES.indexOf(a) - day) % n + n) % n - ((CATEGORIES.indexOf(b) - day) % n + n) % n;
+  })[0];
+}
+
+// adaptive = { enabled, weakestCategory } preference
+function planChallengeMeta(offsetDays, adaptive, skills) {
+  const base = getTodayMeta(offsetDays);
+  if (!adaptive?.enabled) return base;
+  const cat  = adaptive.weakestCategory ? weakestCategory(skills, base.day) : base.cat;
+  const diff = difficultyForRating(skills[cat.id]?.rating ?? SKILL_START);
+  return { ...base, cat, diff, adaptive: true };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// STORAGE HELPERS
+// REVIEW QUEUE — SM-2 flashcards
+// Cards come from challenge teaching points, key metrics and the "SHARPEN
+// THIS" gaps in feedback. Card = { id, kind: "teaching" | "metric" | "gap",
+//   front, back, source: { dateKey, day, title, category }, ef, interval (days),
+//   reps, due (ms), createdAt, lastReviewedAt }
 // ─────────────────────────────────────────────────────────────────────────────
-function loadChallenge(dateKey) {
-  try {
-    const raw = localStorage.getItem(`od_challenge_${dateKey}`);
-    return raw ? JSON.parse(raw) : null;
-  } catch { return null; }
-}
+const REVIEW_GRADES = [
+  { q: 1, label: "AGAIN", color: "#ef4444" },
+  { q: 3, label: "HARD",  color: "#f59e0b" },
+  { q: 4, label: "GOOD",  color: "#00c9a7" },
+  { q: 5, label: "EASY",  color: "#0ea5e9" },
+];
 
-function saveChallenge(dateKey, data) {
-  try { localStorage.setItem(`od_challenge_${dateKey}`, JSON.stringify(data)); } catch {}
+// Classic SM-2: quality < 3 restarts the card; ease factor never below 1.3
+function scheduleCard(card, quality, now = Date.now()) {
+  let { ef = 2.5, interval = 0, reps = 0 } = card;
+  if (quality < 3) {
+    reps = 0;
+    interval = 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ef);
+  }
+  ef = Math.max(1.3, ef + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  return { ...card, ef: Math.round(ef * 100) / 100, interval, reps, due: now + interval * 86400000, lastReviewedAt: now };
 }
 
-function loadApiKey() {
-  try { return localStorage.getItem("od_gemini_key") || ""; } catch { return ""; }
+function newCard(kind, front, back, ch) {
+  const now = Date.now();
+  return {
+    id: `${kind}:${ch.dateKey}:${hashString(front + back).toString(36)}`,
+    kind, front, back,
+    source: { dateKey: ch.dateKey, day: ch.day, title: ch.title, category: ch.category },
+    ef: 2.5, interval: 0, reps: 0, due: now, createdAt: now, lastReviewedAt: null,
+  };
 }
 
-function saveApiKey(k) {
-  try { localStorage.setItem("od_gemini_key", k); } catch {}
+// Teaching point + one card per key metric, made when a challenge is completed.
+// A metric card's answer is its glossary entry; metrics the glossary doesn't
+// know get no card rather than one without a real answer.
+function cardsFromChallenge(ch, glossary) {
+  const cards = [];
+  if (ch.teachingPoint) {
+    cards.push(newCard("teaching", `What onchain lesson does "${ch.title}" teach?`, ch.teachingPoint, ch));
+  }
+  const seen = new Set();
+  for (const m of ch.keyMetrics || []) {
+    const entry = glossary && lookupTerm(glossary, m);
+    if (!entry || seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    cards.push(newCard("metric", `${entry.term} — what does it measure, and how do analysts read it?`, `${entry.definition}\n\n${entry.interpretation}`, ch));
+  }
+  return cards;
 }
 
-function loadStreak() {
-  try {
-    return {
-      count: parseInt(localStorage.getItem("od_streak") || "0"),
-      last:  localStorage.getItem("od_streak_date") || "",
-    };
-  } catch { return { count: 0, last: "" }; }
+function cardsFromFeedback(ch, entry) {
+  return (entry.sharpen || []).map(gap =>
+    newCard("gap", `On "${ch.title}" you had a gap. What was it, and what's the fix?`, gap, ch));
 }
 
-function bumpStreak() {
-  try {
-    const today = todayKey();
-    const { count, last } = loadStreak();
-    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0,10);
-    const newCount = last === yesterday ? count + 1 : last === today ? count : 1;
-    localStorage.setItem("od_streak", newCount);
-    localStorage.setItem("od_streak_date", today);
-    return newCount;
-  } catch { return 0; }
+// ─────────────────────────────────────────────────────────────────────────────
+// METRIC GLOSSARY
+// Bundled offline definitions. Entry = { term, aliases, category, definition,
+// formula, interpretation, pitfalls[], related[] }. Terms the bundle doesn't
+// know are fetched from the LLM once and cached in the "glossary" store with
+// source: "llm". Aliases are highlighted in prose, so keep them specific —
+// plain words like "Liquidations" or "Utilization" would light up everywhere.
+// ─────────────────────────────────────────────────────────────────────────────
+const GLOSSARY = [
+  // ── BTC ──
+  {
+    term: "SOPR", aliases: ["Spent Output Profit Ratio", "aSOPR"], category: "btc",
+    definition: "Ratio of the price coins were sold at to the price they were last moved at, across all outputs spent that day.",
+    formula: "Σ(value spent in USD) / Σ(value at creation in USD)",
+    interpretation: "Above 1 the average seller is in profit, below 1 at a loss. In bull trends 1 acts as support (holders refuse to sell at a loss); in bear trends it acts as resistance.",
+    pitfalls: ["Exchange-internal and change outputs inflate it — prefer adjusted SOPR (outputs younger than 1h removed)", "A single day is noise; use a 7-day average"],
+    related: ["LTH SOPR", "STH SOPR", "Realized Price"],
+  },
+  {
+    term: "LTH SOPR", aliases: ["Long-Term Holder SOPR"], category: "btc",
+    definition: "SOPR restricted to coins held 155 days or longer — the profit multiple long-term holders lock in when they spend.",
+    formula: "SOPR over outputs with age ≥ 155 days",
+    interpretation: "Spikes far above its average mean old hands are distributing into strength, typical near cycle tops. Values under 1 are rare and mark capitulation.",
+    pitfalls: ["Custodian wallet reshuffles look like LTH spending", "Needs entity-adjusted data to separate real sales from internal moves"],
+    related: ["SOPR", "Coin Days Destroyed", "HODL Waves"],
+  },
+  {
+    term: "STH SOPR", aliases: ["Short-Term Holder SOPR"], category: "btc",
+    definition: "SOPR for coins younger than 155 days — how recent buyers are doing when they sell.",
+    formula: "SOPR over outputs with age < 155 days",
+    interpretation: "Reclaiming 1 after a drawdown shows new buyers are back in profit; repeated rejections at 1 signal break-even selling.",
+    pitfalls: ["Very sensitive to exchange shuffling", "Flips around 1 constantly in chop — watch the trend, not single crosses"],
+    related: ["SOPR", "LTH SOPR", "Realized Price"],
+  },
+  {
+    term: "MVRV", aliases: ["MVRV Ratio", "Market Value to Realized Value"], category: "btc",
+    definition: "Market cap divided by realized cap: how far price sits above or below the network's aggregate cost basis.",
+    formula: "Market Cap / Realized Cap",
+    interpretation: "Above ~3.5 has historically marked overheated tops, below 1 means the average holder is underwater — historically deep value.",
+    pitfalls: ["Cycle peaks have been getting lower, so fixed thresholds drift", "Lost coins keep an old cost basis and skew realized cap"],
+    related: ["MVRV Z-Score", "Realized Cap", "Realized Price", "NUPL"],
+  },
+  {
+    term: "MVRV Z-Score", aliases: [], category: "btc",
+    definition: "MVRV normalised by the standard deviation of market cap, to show how extreme the gap from cost basis is historically.",
+    formula: "(Market Cap − Realized Cap) / σ(Market Cap)",
+    interpretation: "Above ~7 has coincided with cycle tops, below 0 with bottoms.",
+    pitfalls: ["σ is computed over all history, so early-cycle volatility dominates", "Not a timing tool — it can stay extreme for months"],
+    related: ["MVRV", "Realized Cap"],
+  },
+  {
+    term: "Realized Price", aliases: [], category: "btc",
+    definition: "Average price at which every coin in circulation last moved — the aggregate on-chain cost basis.",
+    formula: "Realized Cap / Circulating Supply",
+    interpretation: "Spot trading below it means the average holder is at a loss; reclaiming it has marked bear market exits.",
+    pitfalls: ["Lost coins pin part of the basis at very old prices", "Cohort versions (STH/LTH realized price) are usually more actionable"],
+    related: ["Realized Cap", "MVRV", "SOPR"],
+  },
+  {
+    term: "Realized Cap", aliases: ["Realized Capitalization"], category: "btc",
+    definition: "Sum of every coin valued at the price it last moved, instead of today's price.",
+    formula: "Σ(UTXO value × price when the UTXO was created)",
+    interpretation: "Rising realized cap means real capital is flowing in at higher prices; flat realized cap during a rally means thin participation.",
+    pitfalls: ["Moving coins between your own wallets re-prices them and inflates it"],
+    related: ["Realized Price", "MVRV"],
+  },
+  {
+    term: "NUPL", aliases: ["Net Unrealized Profit/Loss", "Net Unrealized Profit Loss"], category: "btc",
+    definition: "Share of market cap that is unrealized profit (or loss) for holders.",
+    formula: "(Market Cap − Realized Cap) / Market Cap",
+    interpretation: "Above 0.75 ('euphoria') has marked tops, below 0 ('capitulation') bottoms.",
+    pitfalls: ["Same lost-coin bias as realized cap", "Zone thresholds are descriptive, not predictive"],
+    related: ["MVRV", "Realized Cap"],
+  },
+  {
+    term: "HODL Waves", aliases: ["HODL Wave"], category: "btc",
+    definition: "Stacked chart of the share of supply in each age band, from coins moved in the last 24h to coins dormant 10+ years.",
+    formula: "supply in age band / circulating supply, per band",
+    interpretation: "Young bands swelling means old coins are being sold to new buyers (distribution); old bands thickening means holders are sitting tight (accumulation).",
+    pitfalls: ["Exchange and custodian wallet migrations reset ages in bulk", "Changes are slow — compare over weeks, not days"],
+    related: ["UTXO Age Bands", "Coin Days Destroyed", "LTH SOPR"],
+  },
+  {
+    term: "UTXO Age Bands", aliases: ["UTXO Age Band", "UTXO Age Distribution"], category: "btc",
+    definition: "Supply or spending broken down by how long each unspent output has been dormant.",
+    formula: "Σ UTXO value grouped by (now − creation time)",
+    interpretation: "Spending out of old bands is rare and informative: it's usually long-term holders or miners from early eras taking profit.",
+    pitfalls: ["One custodian consolidation can move millions of 'old' coins without any sale"],
+    related: ["HODL Waves", "Coin Days Destroyed"],
+  },
+  {
+    term: "Coin Days Destroyed", aliases: ["CDD"], category: "btc",
+    definition: "Each coin accrues one coin-day per day it sits unmoved; spending it 'destroys' those days. CDD weighs spending by how dormant the coins were.",
+    formula: "Σ(coins moved × days since they last moved)",
+    interpretation: "Spikes mean old, conviction-held coins moved — often long-term holders selling into strength.",
+    pitfalls: ["Exchange cold-wallet rotations create huge false spikes", "Dominated by a few large old UTXOs — check the entity behind them"],
+    related: ["HODL Waves", "LTH SOPR", "Exchange Inflow"],
+  },
+  {
+    term: "Exchange Reserves", aliases: ["Exchange Reserve", "Exchange Balance"], category: "btc",
+    definition: "Total coins held in known exchange wallets.",
+    formula: "Σ balances of addresses attributed to exchanges",
+    interpretation: "A falling reserve means coins leave for self-custody (less sell-side supply); a rising reserve means coins are positioned to sell.",
+    pitfalls: ["Depends entirely on the provider's address labelling — different providers disagree", "ETF and custodian flows may not be labelled as exchanges"],
+    related: ["Exchange Inflow", "Exchange Outflow", "Exchange Netflow"],
+  },
+  {
+    term: "Exchange Inflow", aliases: ["Exchange Inflows", "Exchange Deposits"], category: "btc",
+    definition: "Coins sent to exchange deposit addresses over a period.",
+    formula: "Σ value of transfers into exchange wallets",
+    interpretation: "Large inflows, especially from old or whale wallets, usually precede selling pressure.",
+    pitfalls: ["Deposits can be collateral for derivatives rather than spot sales", "Internal exchange transfers must be filtered out"],
+    related: ["Exchange Outflow", "Exchange Netflow", "Exchange Whale Ratio"],
+  },
+  {
+    term: "Exchange Outflow", aliases: ["Exchange Outflows", "Exchange Withdrawals"], category: "btc",
+    definition: "Coins withdrawn from exchange wallets over a period.",
+    formula: "Σ value of transfers out of exchange wallets",
+    interpretation: "Sustained outflows point to accumulation into cold storage.",
+    pitfalls: ["Withdrawals to OTC desks or custodians aren't 'holders' in the usual sense"],
+    related: ["Exchange Inflow", "Exchange Netflow", "Exchange Reserves"],
+  },
+  {
+    term: "Exchange Netflow", aliases: ["Netflow", "Exchange Net Flow"], category: "btc",
+    definition: "Inflow minus outflow for exchange wallets.",
+    formula: "Exchange Inflow − Exchange Outflow",
+    interpretation: "Persistently positive netflow means supply is accumulating on exchanges (bearish); negative means it's draining (bullish).",
+    pitfalls: ["Netting hides large two-way activity — look at gross flows too"],
+    related: ["Exchange Inflow", "Exchange Outflow", "Exchange Reserves"],
+  },
+  {
+    term: "Miner Outflow", aliases: ["Miner Outflows", "Miner Reserve"], category: "btc",
+    definition: "Coins leaving wallets attributed to miners and mining pools.",
+    formula: "Σ value of transfers out of miner-labelled addresses",
+    interpretation: "Spikes to exchanges show miners selling — typically when hash price squeezes margins or after halvings.",
+    pitfalls: ["Pool payouts to individual miners are routine, not sales"],
+    related: ["Puell Multiple", "Hash Rate", "Exchange Inflow"],
+  },
+  {
+    term: "Puell Multiple", aliases: [], category: "btc",
+    definition: "Daily miner revenue in USD compared to its 365-day average.",
+    formula: "Daily issuance value (USD) / 365-day MA of daily issuance value",
+    interpretation: "Very low values mean miners are under revenue stress (historically near bottoms); very high means windfall revenue and likely selling.",
+    pitfalls: ["Halvings cut issuance in half overnight, distorting the ratio for a year", "Ignores fee revenue in most implementations"],
+    related: ["Miner Outflow", "Hash Rate"],
+  },
+  {
+    term: "Hash Rate", aliases: ["Hashrate"], category: "btc",
+    definition: "Estimated total computing power securing the network, in hashes per second.",
+    formula: "Estimated from difficulty and block times",
+    interpretation: "Rising hash rate means miners are investing for the long run; sharp drops mean capitulation or outages.",
+    pitfalls: ["It's an estimate from block luck — daily values are noisy, use 7d averages"],
+    related: ["Puell Multiple", "Miner Outflow"],
+  },
+
+  // ── ETH ──
+  {
+    term: "Validator Queue", aliases: ["Entry Queue", "Exit Queue", "Validator Entry Queue", "Validator Exit Queue"], category: "eth",
+    definition: "Validators waiting to activate (entry) or withdraw (exit); the churn limit caps how many move per epoch.",
+    formula: "pending validators × 32 ETH, wait ≈ queue / churn limit",
+    interpretation: "A long entry queue means demand for staking yield; a long exit queue means ETH is about to become liquid — potential sell pressure.",
+    pitfalls: ["Exits can be LST providers rebalancing operators, not sellers", "Consolidated validators can hold more than 32 ETH since Pectra"],
+    related: ["Staking Ratio", "LST Dominance", "Restaking"],
+  },
+  {
+    term: "Staking Ratio", aliases: ["Staked ETH", "Staking Flows"], category: "eth",
+    definition: "Share of ETH supply locked in the beacon chain.",
+    formula: "Total staked ETH / ETH supply",
+    interpretation: "Higher ratio means less liquid float; changes in trend show appetite for yield versus liquidity.",
+    pitfalls: ["Staked via LSTs is still liquid through the token"],
+    related: ["Validator Queue", "LST Dominance"],
+  },
+  {
+    term: "EIP-1559 Burn", aliases: ["Base Fee Burn", "ETH Burn"], category: "eth",
+    definition: "ETH destroyed by the base fee paid on every transaction since EIP-1559.",
+    formula: "Σ(base fee × gas used) per block",
+    interpretation: "When burn exceeds issuance ETH is net deflationary; burn tracks L1 demand for blockspace.",
+    pitfalls: ["Blob fees are burned too but are tiny — L2 growth doesn't translate into L1 burn 1:1", "Single NFT mints or memecoin frenzies create short spikes"],
+    related: ["Blob Fees", "Staking Ratio"],
+  },
+  {
+    term: "Blob Fees", aliases: ["Blob Fee", "Blob Gas Price", "Blob Base Fee"], category: "eth",
+    definition: "Fee market for EIP-4844 data blobs that rollups use to post their data to Ethereum.",
+    formula: "blob base fee × blob gas used (own 1559-style market)",
+    interpretation: "Near-zero while blob supply exceeds demand; jumps exponentially when the target is exceeded for consecutive blocks.",
+    pitfalls: ["Compare against the blob target, not absolute usage", "Target and max blob counts change with network upgrades"],
+    related: ["EIP-1559 Burn", "Bridge Flows"],
+  },
+  {
+    term: "LST Dominance", aliases: ["Liquid Staking Token", "Liquid Staking Tokens", "LST"], category: "eth",
+    definition: "Share of staked ETH held through liquid staking tokens (stETH, rETH, …), and how concentrated it is among providers.",
+    formula: "ETH staked via provider / total staked ETH",
+    interpretation: "A single provider above ~33% threatens finality guarantees; shifts between providers show where yield-seekers trust.",
+    pitfalls: ["Wrapped versions (wstETH) must be counted once", "Depeg of the LST vs ETH is a separate risk from share"],
+    related: ["Staking Ratio", "Restaking", "Depeg"],
+  },
+  {
+    term: "Restaking", aliases: ["Restaked ETH", "LRT"], category: "eth",
+    definition: "Re-using staked ETH or LSTs as security for additional services in exchange for extra yield and extra slashing risk.",
+    formula: "TVL restaked per protocol / operator",
+    interpretation: "Growth shows leverage-like appetite for stacked yield; concentration in few operators is a systemic risk.",
+    pitfalls: ["Points programs inflate deposits that leave when rewards end", "Slashing conditions are often not live yet — risk is back-loaded"],
+    related: ["LST Dominance", "TVL"],
+  },
+
+  // ── WHALE ──
+  {
+    term: "Wallet Clustering", aliases: ["Entity Clustering", "Address Clustering"], category: "whale",
+    definition: "Grouping addresses controlled by the same entity using heuristics like common-input ownership and change detection.",
+    formula: "Heuristics, not a closed formula",
+    interpretation: "Turns thousands of addresses into one actor, so you can tell a single whale from broad participation.",
+    pitfalls: ["CoinJoins and exchanges break the heuristics", "Different providers cluster differently — cite which one"],
+    related: ["Exchange Whale Ratio", "OTC Desk Flows"],
+  },
+  {
+    term: "Exchange Whale Ratio", aliases: ["Whale Ratio"], category: "whale",
+    definition: "Share of exchange inflow coming from the ten largest deposits.",
+    formula: "Top-10 inflow transactions / total exchange inflow",
+    interpretation: "High values mean a few large players are depositing — often ahead of sizeable selling.",
+    pitfalls: ["Exchange internal rebalancing can dominate the top 10"],
+    related: ["Exchange Inflow", "Wallet Clustering"],
+  },
+  {
+    term: "OTC Desk Flows", aliases: ["OTC Flows", "OTC Desk"], category: "whale",
+    definition: "Transfers into and out of wallets attributed to over-the-counter trading desks.",
+    formula: "Σ value to / from OTC-labelled addresses",
+    interpretation: "Large OTC inflows suggest big off-book trades; balances draining from OTC desks can mean supply is tight.",
+    pitfalls: ["OTC labelling coverage is patchy", "Price impact of OTC trades shows up late, if at all"],
+    related: ["Wallet Clustering", "Exchange Inflow"],
+  },
+
+  // ── DEFI ──
+  {
+    term: "TVL", aliases: ["Total Value Locked"], category: "defi",
+    definition: "USD value of assets deposited in a protocol's contracts.",
+    formula: "Σ(token balance × token price) across contracts",
+    interpretation: "Shows deposit momentum and where capital sits; TVL falling faster than prices means real withdrawals.",
+    pitfalls: ["Price moves change TVL with no flows — check token-denominated balances", "Recursive lending and LSTs double-count across protocols"],
+    related: ["Protocol Revenue", "Utilization Rate"],
+  },
+  {
+    term: "Health Factor", aliases: [], category: "defi",
+    definition: "Lending-position safety score; at or below 1 the position can be liquidated.",
+    formula: "Σ(collateral × liquidation threshold) / total debt",
+    interpretation: "The distance to 1 tells you how far collateral can fall before liquidation: a 1.25 HF survives roughly a 20% drop.",
+    pitfalls: ["Each asset has its own threshold — don't use one number for mixed collateral", "Oracle prices, not DEX prices, decide liquidations"],
+    related: ["Liquidation Threshold", "Liquidation Cascade", "Utilization Rate"],
+  },
+  {
+    term: "Liquidation Threshold", aliases: ["LT"], category: "defi",
+    definition: "Fraction of collateral value that counts towards backing debt before liquidation.",
+    formula: "set per asset by governance, e.g. 0.825 for ETH",
+    interpretation: "Liquidation price = debt / (collateral amount × threshold).",
+    pitfalls: ["Different from max LTV (the borrow limit), which is lower", "Governance can change it — check current parameters"],
+    related: ["Health Factor", "Liquidation Cascade"],
+  },
+  {
+    term: "Liquidation Cascade", aliases: ["Liquidation Cascades"], category: "defi",
+    definition: "Liquidations selling collateral that pushes price down and triggers the next layer of liquidations.",
+    formula: "Liquidation volume per price band vs available liquidity",
+    interpretation: "Clusters of liquidation prices close together plus thin DEX depth make cascades likely.",
+    pitfalls: ["Liquidators often hedge or route through CEXs, so on-chain impact is smaller than the notional"],
+    related: ["Health Factor", "DEX Liquidity Depth", "Bad Debt", "Open Interest"],
+  },
+  {
+    term: "Utilization Rate", aliases: ["Utilisation Rate"], category: "defi",
+    definition: "Share of a lending pool's supplied assets currently borrowed.",
+    formula: "Total borrows / total supplied",
+    interpretation: "Near 100% suppliers can't withdraw and borrow rates spike along the rate curve's kink.",
+    pitfalls: ["High utilization in stablecoins is often just leveraged farming demand"],
+    related: ["Health Factor", "TVL"],
+  },
+  {
+    term: "DEX Liquidity Depth", aliases: ["Liquidity Depth", "DEX Depth"], category: "defi",
+    definition: "How much can be traded on decentralised exchanges before price moves by a given percentage.",
+    formula: "Σ liquidity within ±2% of mid price",
+    interpretation: "Compares a forced sale's size to what the market can absorb; shallow depth amplifies liquidations.",
+    pitfalls: ["Concentrated liquidity can vanish as LPs pull ranges", "Aggregators route across venues — check total depth, not one pool"],
+    related: ["Liquidation Cascade", "Wash Trading"],
+  },
+  {
+    term: "Protocol Revenue", aliases: [], category: "defi",
+    definition: "Fees a protocol keeps for itself or its token holders, after paying LPs and suppliers.",
+    formula: "Total fees − supply-side fees",
+    interpretation: "Revenue that persists once incentives stop is the real business; compare to token emissions.",
+    pitfalls: ["'Fees' and 'revenue' are often confused", "Revenue paid in the protocol's own token is circular"],
+    related: ["TVL", "ve-Token Governance"],
+  },
+  {
+    term: "ve-Token Governance", aliases: ["veTokenomics", "vote-escrow", "veToken"], category: "defi",
+    definition: "Locking a governance token for time-weighted voting power, used to direct emissions and share fees.",
+    formula: "voting power = tokens × remaining lock time / max lock",
+    interpretation: "Bribe markets show how much protocols pay per unit of emissions directed to them.",
+    pitfalls: ["Vote concentration in aggregators (Convex-style) hides who really controls emissions"],
+    related: ["Protocol Revenue", "TVL"],
+  },
+  {
+    term: "Bad Debt", aliases: [], category: "defi",
+    definition: "Debt left in a lending protocol after collateral is worth less than the loan and can't be liquidated profitably.",
+    formula: "Σ max(0, debt − collateral value) per position",
+    interpretation: "Socialised to suppliers or covered by a safety module; sudden bad debt is a solvency event.",
+    pitfalls: ["Oracle manipulation can create it without any market crash"],
+    related: ["Health Factor", "Liquidation Cascade"],
+  },
+  {
+    term: "Funding Rate", aliases: ["Funding Rates"], category: "defi",
+    definition: "Periodic payment between longs and shorts on perpetual futures that keeps the perp near spot.",
+    formula: "premium index + interest component, paid every funding interval",
+    interpretation: "Persistently positive funding means leveraged longs are crowded — fuel for long squeezes.",
+    pitfalls: ["Off-chain on CEXs — on-chain perps have their own rates", "Annualise before comparing venues with different intervals"],
+    related: ["Open Interest", "Liquidation Cascade"],
+  },
+  {
+    term: "Open Interest", aliases: ["OI"], category: "defi",
+    definition: "Total notional of outstanding derivative contracts.",
+    formula: "Σ open positions × mark price",
+    interpretation: "Rising OI with rising price means new leverage is chasing; falling OI on a drop means deleveraging.",
+    pitfalls: ["Coin-margined vs stablecoin-margined OI behave differently"],
+    related: ["Funding Rate", "Liquidation Cascade"],
+  },
+
+  // ── NFT ──
+  {
+    term: "Floor Price", aliases: [], category: "nft",
+    definition: "Lowest listed price for an item in an NFT collection.",
+    formula: "min(active listing prices)",
+    interpretation: "Proxy for the entry cost of a collection; floors holding while volume drops suggest listing discipline.",
+    pitfalls: ["One thin listing defines it — easy to manipulate", "Ignores rarity — median sale price is more robust"],
+    related: ["Wash Trading", "Creator Royalties"],
+  },
+  {
+    term: "Wash Trading", aliases: [], category: "nft",
+    definition: "Trading with yourself (or colluding wallets) to fake volume or farm rewards.",
+    formula: "Detected by circular flows, shared funding sources and zero-profit round trips",
+    interpretation: "High wash share means reported volume says nothing about demand.",
+    pitfalls: ["Marketplace reward programs create wash volume even among honest users"],
+    related: ["Floor Price", "Wallet Clustering"],
+  },
+  {
+    term: "Creator Royalties", aliases: ["Royalty Evasion"], category: "nft",
+    definition: "Percentage of secondary sales paid to the collection's creator — optional on many marketplaces.",
+    formula: "royalty paid / sale price",
+    interpretation: "Falling effective royalty rates show volume moving to zero-royalty venues.",
+    pitfalls: ["Enforcement differs per marketplace and per contract standard"],
+    related: ["Floor Price", "Wash Trading"],
+  },
+
+  // ── L2 ──
+  {
+    term: "Bridge Flows", aliases: ["Bridge Flow", "Bridge Netflow", "Bridged Value"], category: "l2",
+    definition: "Assets moving between L1 and L2s (or between chains) through bridges.",
+    formula: "Σ deposits − Σ withdrawals per bridge",
+    interpretation: "Sustained inflows show where users and liquidity are migrating; sudden outflows can precede exploits or incentive ends.",
+    pitfalls: ["Canonical vs third-party bridges are counted separately", "Native issuance (e.g. USDC minted on L2) doesn't go through bridges"],
+    related: ["Sequencer Centralization", "Blob Fees", "TVL"],
+  },
+  {
+    term: "MEV", aliases: ["Maximal Extractable Value"], category: "l2",
+    definition: "Value block producers or searchers capture by reordering, inserting or censoring transactions.",
+    formula: "Σ profits from arbitrage, sandwiches and liquidations per block",
+    interpretation: "Sandwich volume measures the hidden tax on users; MEV spikes accompany volatility and liquidations.",
+    pitfalls: ["Much MEV is private (off-chain deals) and invisible in public data"],
+    related: ["Sequencer Centralization", "Liquidation Cascade"],
+  },
+  {
+    term: "Sequencer Centralization", aliases: ["Centralized Sequencer"], category: "l2",
+    definition: "Most rollups order transactions with a single operator-run sequencer.",
+    formula: "Share of blocks produced by the top sequencer",
+    interpretation: "A single sequencer can censor or go down; forced-inclusion paths via L1 are the escape hatch.",
+    pitfalls: ["Decentralisation roadmaps aren't the same as live decentralisation"],
+    related: ["MEV", "Proof Delay"],
+  },
+  {
+    term: "Proof Delay", aliases: ["Challenge Period", "Finality Delay", "Rollup Proof Delays"], category: "l2",
+    definition: "Time until an L2 state is final on L1: fraud-proof windows for optimistic rollups, proving time for ZK rollups.",
+    formula: "L1 finalisation time − L2 inclusion time",
+    interpretation: "Long delays tie up capital on withdrawals and push users to faster third-party bridges.",
+    pitfalls: ["Fast bridges shift, not remove, the risk — to their liquidity providers"],
+    related: ["Bridge Flows", "Sequencer Centralization"],
+  },
+
+  // ── MACRO ──
+  {
+    term: "Stablecoin Dominance", aliases: ["Stablecoin Market Share"], category: "macro",
+    definition: "Stablecoin market cap as a share of total crypto market cap.",
+    formula: "Stablecoin market cap / total crypto market cap",
+    interpretation: "Rising dominance means capital is parked in dollars (risk-off); falling means it's deployed into volatile assets.",
+    pitfalls: ["A crypto price rally alone lowers it with no stablecoin flows"],
+    related: ["Stablecoin Supply Ratio", "Exchange Stablecoin Reserve"],
+  },
+  {
+    term: "Stablecoin Supply Ratio", aliases: ["SSR"], category: "macro",
+    definition: "BTC market cap relative to stablecoin supply — the buying power stablecoins hold over BTC.",
+    formula: "BTC Market Cap / Stablecoin Market Cap",
+    interpretation: "Low SSR means lots of dry powder relative to BTC (potential buying power); high SSR means little.",
+    pitfalls: ["Not all stablecoins are available to buy BTC — much sits in DeFi or on other chains"],
+    related: ["Stablecoin Dominance", "Exchange Stablecoin Reserve", "USDT Mint Volume"],
+  },
+  {
+    term: "Exchange Stablecoin Reserve", aliases: ["Exchange Stablecoin Reserves", "Stablecoin Exchange Reserve"], category: "macro",
+    definition: "Stablecoins held on exchanges.",
+    formula: "Σ stablecoin balances of exchange-labelled addresses",
+    interpretation: "Rising reserves are dry powder ready to buy; spikes often precede rallies when paired with falling SSR.",
+    pitfalls: ["Collateral for derivatives counts too — it may never buy spot"],
+    related: ["Stablecoin Supply Ratio", "USDT Mint Volume", "Exchange Reserves"],
+  },
+  {
+    term: "USDT Mint Volume", aliases: ["Stablecoin Mints", "Tether Mints", "USDT Mints"], category: "macro",
+    definition: "New stablecoins issued by the issuer's treasury over a period.",
+    formula: "Σ mint transactions from the issuer treasury",
+    interpretation: "Large mints followed by transfers to exchanges signal fresh capital entering; authorised-but-unissued mints are inventory, not demand.",
+    pitfalls: ["Treasury mints often sit idle for weeks — track where they go next", "Chain swaps (burn on one chain, mint on another) aren't new supply"],
+    related: ["Exchange Stablecoin Reserve", "Stablecoin Supply Ratio"],
+  },
+  {
+    term: "Depeg", aliases: ["Depegs", "Stablecoin Depeg"], category: "macro",
+    definition: "A pegged asset trading away from its target, e.g. a stablecoin below $1 or an LST below ETH.",
+    formula: "|market price − peg| / peg",
+    interpretation: "Small persistent depegs reflect redemption friction; sharp depegs reflect doubts about backing and can spread through DeFi collateral.",
+    pitfalls: ["Thin DEX pools show depegs that aren't real on deeper venues"],
+    related: ["Stablecoin Dominance", "LST Dominance", "DEX Liquidity Depth"],
+  },
+];
+
+const GLOSSARY_SCHEMA = {
+  term:           { type: "string", minLength: 2, maxLength: 60 },
+  definition:     { type: "string", minLength: 30, maxLength: 400 },
+  formula:        { type: "string", minLength: 3, maxLength: 200 },
+  interpretation: { type: "string", minLength: 30, maxLength: 500 },
+  pitfalls:       { type: "array",  minItems: 1, maxItems: 4 },
+  related:        { type: "array",  minItems: 1, maxItems: 5 },
+};
+
+function normalizeTerm(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+// Lookup tables over the bundle plus cached LLM entries. Cached entries never
+// shadow bundled ones. pattern matches any term/alias as a whole word.
+function buildGlossaryIndex(cached = []) {
+  const entries = [...GLOSSARY.map(e => ({ ...e, id: normalizeTerm(e.term), source: "bundled" }))];
+  const byKey = new Map();
+  for (const e of entries) [e.term, ...e.aliases].forEach(t => byKey.set(normalizeTerm(t), e));
+  for (const e of cached) {
+    if (byKey.has(e.id)) continue;
+    entries.push(e);
+    [e.term, ...(e.aliases || [])].forEach(t => byKey.has(normalizeTerm(t)) || byKey.set(normalizeTerm(t), e));
+  }
+  const names = entries.flatMap(e => [e.term, ...(e.aliases || [])])
+    .filter(t => t.length > 2)
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/[\s-]+/g, "[\\s-]+"));
+  const pattern = new RegExp(`(?<![A-Za-z0-9])(?:${names.join("|")})(?![A-Za-z0-9])`, "gi");
+  return { entries, byKey, pattern };
+}
+
+// Exact name first; otherwise the longest known term inside it
+// ("Binance Exchange Inflow" → Exchange Inflow)
+function lookupTerm(index, name) {
+  const key = normalizeTerm(name);
+  const exact = index.byKey.get(key) || index.byKey.get(key.replace(/s$/, ""));
+  if (exact) return exact;
+  const hits = String(name).match(index.pattern) || [];
+  const longest = hits.sort((a, b) => b.length - a.length)[0];
+  return longest ? index.byKey.get(normalizeTerm(longest)) : undefined;
+}
+
+// Split free text into plain strings and { text, entry } metric mentions
+function splitMetricMentions(index, text) {
+  const parts = [];
+  let last = 0;
+  for (const m of String(text).matchAll(index.pattern)) {
+    if (m.index > last) parts.push(text.slice(last, m.index));
+    parts.push({ text: m[0], entry: index.byKey.get(normalizeTerm(m[0])) });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+// Term/alias hits rank above hits in the definition text
+function searchGlossary(index, query) {
+  const q = query.trim().toLowerCase();
+  const sorted = [...index.entries].sort((a, b) => a.term.localeCompare(b.term));
+  if (!q) return sorted;
+  const inName = (e) => [e.term, ...(e.aliases || [])].some(t => t.toLowerCase().includes(q));
+  return [
+    ...sorted.filter(inName),
+    ...sorted.filter(e => !inName(e) && `${e.definition} ${e.interpretation}`.toLowerCase().includes(q)),
+  ];
+}
+
+function buildGlossaryPrompt(term) {
+  return `Write an onchain metrics glossary entry for "${term}".
+
+Return ONLY raw JSON — no markdown, no backticks — in exactly this shape:
+{
+  "term": "Canonical metric name",
+  "definition": "1-2 sentences: what it measures",
+  "formula": "How it's computed, as a short formula or method",
+  "interpretation": "1-2 sentences: how analysts typically read high/low values or changes",
+  "pitfalls": ["common misreading or data caveat", "another one"],
+  "related": ["Related metric 1", "Related metric 2"]
+}
+
+Be precise. If "${term}" isn't a real onchain or crypto market metric, say so in "definition".`;
+}
+
+async function fetchGlossaryEntry(cfg, term, opts = {}) {
+  const { data } = extractJSON(await callLLM(cfg, buildGlossaryPrompt(term), "", false, { ...opts, template: "glossary" }));
+  const { valid, errors } = validateChallenge(data, GLOSSARY_SCHEMA);
+  if (!valid) throw new Error(`Couldn't get a usable definition for "${term}": ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`);
+  const { definition, formula, interpretation, pitfalls, related } = data;
+  const aliases = normalizeTerm(data.term) === normalizeTerm(term) ? [] : [term];
+  return {
+    id: normalizeTerm(term), term: data.term.trim(), aliases, category: null,
+    definition, formula, interpretation, pitfalls, related,
+    source: "llm", provider: cfg.provider, fetchedAt: Date.now(),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST FORMATS + THREAD EDITOR
+// Each target platform has its own length rule, prompt and (optional) share
+// intent. X counts characters by weight: every URL is 23 (t.co), emoji are 2,
+// the rest 1. Overlong posts are split at sentence, then word boundaries.
+// ─────────────────────────────────────────────────────────────────────────────
+const TWEET_MAX = 280;
+const TCO_LENGTH = 23;
+const URL_RE = /\bhttps?:\/\/[^\s]+/gi;
+const EMOJI_RE = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const POST_SEPARATOR = "---TWEET---";
+
+function graphemes(text) {
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    return [...new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(text)].map(s => s.segment);
+  }
+  return Array.from(text);
+}
+
+function graphemeLength(text) {
+  return graphemes(String(text)).length;
+}
+
+// Farcaster's cast limit is in UTF-8 bytes, not characters
+function byteLength(text) {
+  return new TextEncoder().encode(String(text)).length;
+}
+
+function tweetLength(text) {
+  let len = 0;
+  const rest = String(text).replace(URL_RE, () => { len += TCO_LENGTH; return ""; });
+  for (const g of graphemes(rest)) len += EMOJI_RE.test(g) ? 2 : 1;
+  return len;
+}
+
+// Greedily pack pieces into posts of at most max (as measured by count).
+// Pieces that don't fit on their own are broken into words, then hard-cut as
+// a last resort.
+function splitTweet(text, max = TWEET_MAX, count = tweetLength) {
+  const trimmed = String(text).trim();
+  if (count(trimmed) <= max) return trimmed ? [trimmed] : [];
+
+  const out = [];
+  let cur = "";
+  const push = (piece, sep) => {
+    const next = cur ? cur + sep + piece : piece;
+    if (count(next) <= max) { cur = next; return true; }
+    if (cur) out.push(cur);
+    cur = "";
+    if (count(piece) <= max) { cur = piece; return true; }
+    return false;
+  };
+  // Sentences end at .!? followed by whitespace, so decimals like 1.8 stay
+  // whole; line breaks are kept as the join so bullet lists survive
+  let sep = " ";
+  for (const part of trimmed.split(/(?<=[.!?])[ \t]+|(\n+)/)) {
+    if (part === undefined) continue;
+    if (/^\n+$/.test(part)) { sep = part; continue; }
+    const sentence = part.trim();
+    const joiner = sep;
+    sep = " ";
+    if (!sentence) continue;
+    if (push(sentence, joiner)) continue;
+    for (const word of sentence.split(/\s+/)) {
+      if (push(word, " ")) continue;
+      let chunk = "";
+      for (const g of graphemes(word)) {
+        if (count(chunk + g) > max) { out.push(chunk); chunk = ""; }
+        chunk += g;
+      }
+      cur = chunk;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function buildTweetRegenPrompt(challenge, posts, index, fmt = POST_FORMATS.x) {
+  return `Here is a ${posts.length}-post ${fmt.label} about the onchain challenge "${challenge.title}":
+
+${posts.map((t, i) => `[${i + 1}] ${t}`).join("\n\n")}
+
+Rewrite post [${index + 1}] only. Keep its role in the thread and stay consistent with the posts around it, but make it sharper and more specific.
+It MUST be under ${fmt.max - 10} ${fmt.unit}. No hype language.
+Return ONLY the new text of post [${index + 1}] — no number, no quotes, nothing else.`;
+}
+
+// kind "thread" = several posts split on POST_SEPARATOR, "single" = one
+// long-form post. max: null = no hard limit. intent: null = copy only.
+// template = the PROMPT_TEMPLATES id its prompt renders.
+const POST_FORMATS = {
+  x: {
+    id: "x", label: "X thread", icon: "𝕏", color: "#1d9bf0", post: "TWEET",
+    kind: "thread", max: TWEET_MAX, count: tweetLength, unit: "characters",
+    template: "thread", prompt: (ctx) => buildThreadPrompt(ctx.challenge, ctx.analysis, ctx.conclusion, ctx.day),
+    intent: (text) => `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}`,
+    howTo: [
+      `Click "POST 1 ↗" — X opens with tweet 1 pre-filled`,
+      "Post it → click reply to your own tweet for tweet 2",
+      "Use the POST / COPY buttons for each reply",
+      "Or pick a time and ⏰ QUEUE it — you'll get a notification when it's time to post",
+    ],
+  },
+  farcaster: {
+    id: "farcaster", label: "Farcaster casts", icon: "⌐◨", color: "#8a63d2", post: "CAST",
+    kind: "thread", max: 320, count: byteLength, unit: "bytes (UTF-8 — emoji cost 4)",
+    brief: "a short Farcaster cast thread for the /onchain channel",
+    rules: `Write 3-4 casts:
+Cast 1 — Hook: the most striking number from the puzzle
+Cast 2 — The data and what it means, using their analysis
+Cast 3 — Their conclusion as one sharp takeaway
+Cast 4 (optional) — A question for the channel. No hashtags — Farcaster uses channels instead.`,
+    template: "post", prompt: (ctx) => buildPostPrompt(POST_FORMATS.farcaster, ctx),
+    intent: (text) => `https://warpcast.com/~/compose?text=${encodeURIComponent(text)}`,
+    howTo: [
+      `Click "POST 1 ↗" — Warpcast opens with cast 1 pre-filled`,
+      "Pick the /onchain channel, cast, then reply to yourself with the rest",
+    ],
+  },
+  bluesky: {
+    id: "bluesky", label: "Bluesky thread", icon: "🦋", color: "#0085ff", post: "POST",
+    kind: "thread", max: 300, count: graphemeLength, unit: "characters",
+    brief: "a Bluesky thread",
+    rules: `Write 3-5 posts:
+Post 1 — Hook: the puzzle with the most interesting number
+Post 2 — The key onchain metrics
+Post 3 — What the data actually means, using their analysis
+Post 4 — Their conclusion + what to watch next
+Keep the tone conversational; at most 2 hashtags in the last post.`,
+    template: "post", prompt: (ctx) => buildPostPrompt(POST_FORMATS.bluesky, ctx),
+    intent: (text) => `https://bsky.app/intent/compose?text=${encodeURIComponent(text)}`,
+    howTo: [
+      `Click "POST 1 ↗" — Bluesky opens with post 1 pre-filled`,
+      "Reply to your own post with the next ones",
+    ],
+  },
+  linkedin: {
+    id: "linkedin", label: "LinkedIn post", icon: "in", color: "#0a66c2", post: "POST",
+    kind: "single", max: 3000, count: graphemeLength, unit: "characters",
+    brief: "a LinkedIn long-form post",
+    rules: `Open with a one-line hook. Short paragraphs of 1-2 sentences.
+Include a numbered list of the 3 key observations from the data.
+Close with a question that invites comments, then 3 hashtags including #OnchainAnalysis.
+150-250 words, plain text — LinkedIn doesn't render markdown.`,
+    template: "post", prompt: (ctx) => buildPostPrompt(POST_FORMATS.linkedin, ctx),
+    intent: null,
+    howTo: ["COPY the post and paste it into a new LinkedIn post"],
+  },
+  newsletter: {
+    id: "newsletter", label: "Weekly newsletter", icon: "✉", color: "#f59e0b", post: "SECTION",
+    kind: "single", max: null, count: graphemeLength, unit: "characters",
+    brief: "this week's section of a weekly onchain analysis newsletter, in Markdown",
+    rules: `Structure:
+## A headline
+A 2-sentence hook
+### The data — bullet points with the key metrics
+### The read — their analysis, tightened
+### What to watch next
+If other challenges from this week are listed, end with "### Also this week" and one line on each.
+300-500 words.`,
+    weekly: true,
+    template: "post", prompt: (ctx) => buildPostPrompt(POST_FORMATS.newsletter, ctx),
+    intent: null,
+    download: "newsletter",
+    howTo: ["COPY or download the Markdown and paste it into your newsletter tool"],
+  },
+};
+
+// Latest generated thread for one platform; entries from before formats
+// existed are X threads
+function latestThread(threads, platformId) {
+  return threads.findLast(t => (t.platform || "x") === platformId);
+}
+
+function editLatestThread(threads, platformId, fn) {
+  const i = threads.findLastIndex(t => (t.platform || "x") === platformId);
+  if (i === -1) return threads;
+  return threads.map((t, j) => j === i ? { ...t, tweets: fn(t.tweets), editedAt: Date.now() } : t);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// UTILS
+// ─────────────────────────────────────────────────────────────────────────────
+// Day boundaries: the calendar day comes from an IANA time zone plus the
+// hour the day resets at (resetHour 4 → a 1am session still counts for the
+// day before). Pref "dayBoundary" = { timeZone, resetHour }; a copy in meta
+// lets public/sw.js agree. Date keys are plain "YYYY-MM-DD" calendar dates,
+// so arithmetic on them never sees DST.
+const DAY_EPOCH = "2025-01-01"; // day 1
+
+function defaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+function isValidTimeZone(tz) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; } catch { return false; }
+}
+
+function loadDayBoundary() {
+  const pref = loadPref("dayBoundary", {});
+  return {
+    timeZone: isValidTimeZone(pref.timeZone) ? pref.timeZone : defaultTimeZone(),
+    resetHour: Number.isInteger(pref.resetHour) ? pref.resetHour : 0,
+  };
+}
+
+const zonedFormats = new Map();
+
+// Wall-clock { year, month, day, hour, minute } (strings) in timeZone
+function zonedParts(ms, timeZone) {
+  if (!zonedFormats.has(timeZone)) {
+    zonedFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+    }));
+  }
+  return Object.fromEntries(zonedFormats.get(timeZone).formatToParts(ms).map(p => [p.type, p.value]));
+}
+
+function dateKeyAt(ms, { timeZone, resetHour } = loadDayBoundary()) {
+  const p = zonedParts(ms, timeZone);
+  const key = `${p.year}-${p.month}-${p.day}`;
+  return Number(p.hour) < resetHour ? addDays(key, -1) : key;
+}
+
+function todayKey() {
+  return dateKeyAt(Date.now()); // "2026-02-25"
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
+}
+
+function addDays(dateKey, n) {
+  return new Date(Date.parse(dateKey) + n * 86400000).toISOString().slice(0, 10);
+}
+
+function getDayNumber() {
+  return daysBetween(DAY_EPOCH, todayKey()) + 1;
+}
+
+function dateKeyForDay(day) {
+  return addDays(DAY_EPOCH, day - 1);
+}
+
+// Before day boundaries, days other than today were stored as offset_<day>
+function canonicalDateKey(key) {
+  const m = /^offset_(\d+)$/.exec(key);
+  return m ? dateKeyForDay(Number(m[1])) : key;
+}
+
+const CATEGORIES = [
+  { id: "btc",   label: "BTC Fundamentals", emoji: "₿",  color: "#f7931a" },
+  { id: "eth",   label: "ETH Fundamentals", emoji: "Ξ",  color: "#627eea" },
+  { id: "whale", label: "Whale Tracking",   emoji: "🐋", color: "#0ea5e9" },
+  { id: "defi",  label: "DeFi Analytics",   emoji: "🏦", color: "#00c9a7" },
+  { id: "nft",   label: "NFT Markets",      emoji: "🖼", color: "#a855f7" },
+  { id: "l2",    label: "L2 & Mempool",     emoji: "⚡", color: "#f59e0b" },
+  { id: "macro", label: "Cross-Chain Macro",emoji: "🌐", color: "#ef4444" },
+];
+
+const DIFFICULTIES = ["Beginner", "Intermediate", "Advanced"];
+const DIFF_COLORS   = { Beginner: "#00c9a7", Intermediate: "#f59e0b", Advanced: "#ef4444" };
+
+// Deterministically pick today's category + difficulty so everyone gets same type
+function getTodayMeta(offsetDays = 0) {
+  const day = getDayNumber() + offsetDays;
+  const cat  = CATEGORIES[day % CATEGORIES.length];
+  const diff = DIFFICULTIES[Math.floor(day / CATEGORIES.length) % DIFFICULTIES.length];
+  return { cat, diff, day };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROMPT TEMPLATES
+// Every generation prompt is a template with {{placeholders}}: dotted paths
+// into the variables its vars(ctx) builds. Templates hold no logic — anything
+// conditional (focus, difficulty framing, answer format...) is computed into
+// a variable first. The text here is version 0; edits from the PROMPTS panel
+// are saved as numbered versions in pref "promptTemplates":
+// { [id]: { active, versions: [{ version, text, savedAt, source }] } }
+// (active 0 or no entry = the built-in text). Generated challenges, feedback
+// and posts record the versions that produced them as prompts: { [id]: n }.
+// ─────────────────────────────────────────────────────────────────────────────
+const PROMPT_HISTORY_MAX = 30; // saved versions kept per template (the active one always stays)
+const PROMPT_EXPORT_KIND = "onchain-dojo-prompts";
+
+// Searched as {{topic}} {{month}} {{keywords}} — keywords per category
+const SEARCH_KEYWORDS = {
+  btc:   ["Bitcoin onchain analysis", "miner exchange flows SOPR MVRV realized price whale accumulation"],
+  eth:   ["Ethereum onchain data", "staking withdrawals burn rate validator queue ETH flows"],
+  whale: ["crypto whale wallet large transaction onchain", "Bitcoin Ethereum accumulation exchange deposit"],
+  defi:  ["DeFi protocol onchain event", "TVL liquidation Aave Uniswap Curve exploit yield"],
+  nft:   ["NFT onchain data", "wash trading floor price manipulation collection volume"],
+  l2:    ["Ethereum L2 onchain", "Arbitrum Optimism bridge MEV sequencer rollup activity"],
+  macro: ["crypto stablecoin onchain macro", "USDT USDC flows depeg market structure"],
+};
+
+const DIFF_FRAMING = {
+  Beginner:     "present the data clearly, ask what the basic signal means",
+  Intermediate: "ask the user to connect 2-3 onchain signals to form a thesis",
+  Advanced:     "ask the user to reason through multi-step implications and edge cases",
+};
+
+// Shared by the feedback, thread and post templates
+const challengeVars = ({ challenge, analysis, conclusion }) => ({
+  challenge: {
+    title: challenge.title, problem: challenge.problem, teachingPoint: challenge.teachingPoint,
+    // Challenges store their difficulty as diff; older records as difficulty
+    category: challenge.category, difficulty: challenge.diff ?? challenge.difficulty,
+  },
+  analysis, conclusion,
+});
+const CHALLENGE_VARIABLES = [
+  ["challenge.title", "challenge title"],
+  ["challenge.problem", "the scenario the student studied"],
+  ["challenge.category", "category label"],
+  ["challenge.difficulty", "Beginner / Intermediate / Advanced"],
+  ["analysis", "the student's analysis"],
+  ["conclusion", "the student's conclusion"],
+];
+
+const PROMPT_TEMPLATES = {
+  searchQuery: {
+    id: "searchQuery", label: "Search query", usedBy: "challenges (inserted into the search prompt)",
+    variables: [
+      ["topic", "category search subject, e.g. \"Bitcoin onchain analysis\""],
+      ["keywords", "category metric keywords"],
+      ["month", "current month, YYYY-MM"],
+      ["cat.label", "category label"], ["cat.id", "category id"], ["diff", "difficulty"],
+    ],
+    vars: ({ cat, diff }) => {
+      const [topic, keywords] = SEARCH_KEYWORDS[cat.id] || ["crypto onchain analysis event", ""];
+      return { topic, keywords, month: todayKey().slice(0, 7), cat: { id: cat.id, label: cat.label }, diff };
+    },
+    text: `{{topic}} {{month}} {{keywords}}`,
+  },
+
+  // PHASE 1 prompt: search for a real event (uses Google Search grounding)
+  search: {
+    id: "search", label: "Challenge search", usedBy: "daily and practice challenges",
+    variables: [
+      ["cat.label", "category label"], ["cat.id", "category id"], ["diff", "difficulty"], ["day", "day number"],
+      ["searchQuery", "the rendered search query template"],
+      ["focus", "practice focus, empty for daily challenges"],
+      ["focusClause", "\", focusing on: <focus>\" or empty"],
+      ["focusPrefix", "\"<focus> \" or empty"],
+      ["diffFraming", "how to pitch this difficulty"],
+      ["answerShape", "extra JSON fields for quiz answer types"],
+      ["answerRules", "extra rules for quiz answer types (leading newline)"],
+    ],
+    vars: ({ cat, diff, day, answerType = "open", focus = "" }) => {
+      const format = ANSWER_TYPES[answerType];
+      return {
+        cat: { id: cat.id, label: cat.label }, diff, day, focus,
+        searchQuery: buildSearchQuery(cat, diff),
+        focusClause: focus ? `, focusing on: ${focus}` : "",
+        focusPrefix: focus ? `${focus} ` : "",
+        diffFraming: DIFF_FRAMING[diff] || DIFF_FRAMING.Advanced,
+        answerShape: format.shape,
+        answerRules: format.rules ? "\n" + format.rules : "",
+      };
+    },
+    text: `Search the web right now for a REAL, VERIFIABLE onchain event that happened recently (last 30-60 days) related to: {{cat.label}}{{focusClause}}.
+
+Search for: {{focusPrefix}}{{searchQuery}}
+
+Find ONE specific real event with:
+- Actual transaction hashes, wallet addresses, or protocol names
+- Real numbers (specific dollar amounts, percentages, token quantities)
+- A date it happened
+- A source (Glassnode, Nansen, Arkham, DeFiLlama, CryptoQuant, news article, etc.)
+
+Then format it as a practice challenge for Day {{day}} (difficulty: {{diff}}) in this EXACT JSON shape — no markdown, no backticks, just raw JSON:
+{
+  "title": "Short punchy title based on the real event (5-8 words)",
+  "realEvent": "One sentence: what actually happened, when, and where it was reported",
+  "source": "Full https:// URL of the article or dashboard where this can be verified",
+  "problem": "2-3 sentences describing the real onchain data as a puzzle. Include the actual numbers. End with one question: what does this signal?",
+  "hints": ["hint using real metric names", "hint about what to look up", "hint about the pattern"],
+  "keyMetrics": ["Exact metric name 1", "Exact metric name 2", "Exact metric name 3", "Exact metric name 4"],
+  "tools": ["Tool where you can verify this data", "Tool 2", "Tool 3"],
+  "teachingPoint": "One sentence: what onchain concept this real event teaches"{{answerShape}}
+}
+
+CRITICAL RULES:
+- The event MUST be real and verifiable — do not invent or hallucinate data
+- If you cannot find a real recent event for this exact category, find the closest real onchain event from any category in the last 60 days
+- Include the actual source URL or publication name so the user can go verify it
+- Difficulty {{diff}} framing: {{diffFraming}}{{answerRules}}`,
+  },
+
+  feedback: {
+    id: "feedback", label: "Feedback", usedBy: "GET_AI_FEEDBACK",
+    variables: [
+      ...CHALLENGE_VARIABLES,
+      ["challenge.teachingPoint", "the concept the challenge teaches"],
+      ["dimensions", "one \"- id: question\" line per scored dimension"],
+      ["scoresShape", "the JSON scores object to fill in"],
+    ],
+    vars: (ctx) => ({
+      ...challengeVars(ctx),
+      dimensions: FEEDBACK_DIMENSIONS.map(d => `- ${d.id}: ${d.question}`).join("\n"),
+      scoresShape: `{ ${FEEDBACK_DIMENSIONS.map(d => `"${d.id}": <1-10>`).join(", ")} }`,
+    }),
+    text: `Challenge: "{{challenge.title}}"
+Problem: {{challenge.problem}}
+Teaching point: {{challenge.teachingPoint}}
+
+Student's analysis: {{analysis}}
+Student's conclusion: {{conclusion}}
+
+Evaluate this onchain analysis. Be direct and specific. Grade strictly — 10 means a professional onchain analyst couldn't improve it, 5 is a reasonable amateur read.
+
+Score each dimension from 1 to 10:
+{{dimensions}}
+
+Return ONLY raw JSON — no markdown, no backticks — in exactly this shape:
+{
+  "scores": {{scoresShape}},
+  "nailed": ["2-3 specific things they got right, reference exact points from their analysis"],
+  "sharpen": ["1-2 specific gaps, missed metrics, or wrong assumptions — be rigorous"],
+  "takeaway": "One memorable sentence they should never forget about this type of onchain signal"
+}
+
+Keep all text under 220 words. Use onchain analyst language. Don't be generic.`,
+  },
+
+  thread: {
+    id: "thread", label: "X thread", usedBy: "X threads",
+    variables: [...CHALLENGE_VARIABLES, ["day", "day number"], ["separator", `the post separator (${POST_SEPARATOR})`]],
+    vars: (ctx) => ({ ...challengeVars(ctx), day: ctx.day, separator: POST_SEPARATOR }),
+    text: `You're writing a viral crypto Twitter thread for Day {{day}} of someone's daily onchain analysis practice.
+
+Challenge: "{{challenge.title}}" ({{challenge.category}} · {{challenge.difficulty}})
+Problem studied: {{challenge.problem}}
+Their analysis: {{analysis}}
+Their conclusion: {{conclusion}}
+
+Write a 5-tweet thread that:
+Tweet 1 — Hook: the puzzle with the most shocking/interesting number. Start with "🔍 Day {{day}} | Onchain puzzle:"
+Tweet 2 — The data: bullet points with the key onchain metrics from the problem
+Tweet 3 — The analysis: what the data actually means (use their analysis, make it crisp)
+Tweet 4 — The conclusion + actionable insight
+Tweet 5 — End with a thought-provoking question for followers + 3-4 relevant hashtags (always include #OnchainAnalysis)
+
+Rules:
+- Each tweet MUST be under 270 characters (strict limit)
+- Use their actual analysis and numbers — this should feel authentic, not templated
+- No hype language, pure data-driven insight
+- Make it educational AND engaging — imagine 10k followers reading this
+
+Separate each tweet with exactly: {{separator}}
+Return ONLY the tweets, nothing else.`,
+  },
+
+  // Shared by the non-X formats; the format supplies brief + rules.
+  // week = other history entries from the last 7 days (newsletter only)
+  post: {
+    id: "post", label: "Other platforms", usedBy: "Farcaster, Bluesky, LinkedIn and newsletter posts",
+    variables: [
+      ...CHALLENGE_VARIABLES, ["day", "day number"],
+      ["fmt.label", "platform format, e.g. \"LinkedIn post\""],
+      ["fmt.brief", "what to write, from the platform format"],
+      ["fmt.rules", "the platform's style rules"],
+      ["weekLines", "this week's other challenges (newsletter only, else empty)"],
+      ["outputRules", "length limit and output format for the platform"],
+    ],
+    vars: ({ fmt, week = [], ...ctx }) => ({
+      ...challengeVars(ctx), day: ctx.day,
+      fmt: { label: fmt.label, brief: fmt.brief, rules: fmt.rules },
+      weekLines: fmt.weekly && week.length
+        ? `\nOther challenges they worked through this week:\n${week.map(h => `- Day ${h.day}: ${h.title} (${h.category} · ${h.difficulty})`).join("\n")}\n`
+        : "",
+      outputRules: fmt.kind === "thread"
+        ? `- Each post MUST be under ${fmt.max - 10} ${fmt.unit}
+
+Separate each post with exactly: ${POST_SEPARATOR}
+Return ONLY the posts, nothing else.`
+        : `${fmt.max ? `- Stay under ${fmt.max} characters\n` : ""}
+Return ONLY the long-form post text, nothing else.`,
+    }),
+    text: `You're writing {{fmt.brief}} for Day {{day}} of someone's daily onchain analysis practice.
+
+Challenge: "{{challenge.title}}" ({{challenge.category}} · {{challenge.difficulty}})
+Problem studied: {{challenge.problem}}
+Their analysis: {{analysis}}
+Their conclusion: {{conclusion}}
+{{weekLines}}
+{{fmt.rules}}
+
+Rules:
+- Use their actual analysis and numbers — this should feel authentic, not templated
+- No hype language, pure data-driven insight
+{{outputRules}}`,
+  },
+};
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Unknown placeholders are left in place so the preview can flag them
+function renderTemplate(text, vars) {
+  return text.replace(PLACEHOLDER_RE, (match, path) => {
+    const value = path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), vars);
+    return value == null || typeof value === "object" ? match : String(value);
+  });
+}
+
+// Placeholders in text that the template doesn't define
+function unknownPlaceholders(id, text) {
+  const known = new Set(PROMPT_TEMPLATES[id].variables.map(([name]) => name));
+  return [...new Set([...text.matchAll(PLACEHOLDER_RE)].map(m => m[1]))].filter(name => !known.has(name));
+}
+
+// { version, text } of the template in use — version 0 is the built-in text
+function activeTemplate(id, saved = loadPref("promptTemplates", {})) {
+  const entry = saved[id];
+  const v = entry?.active && entry.versions.find(x => x.version === entry.active);
+  return v ? { version: v.version, text: v.text } : { version: 0, text: PROMPT_TEMPLATES[id].text };
+}
+
+function renderPrompt(id, ctx) {
+  return renderTemplate(activeTemplate(id).text, PROMPT_TEMPLATES[id].vars(ctx)).trim();
+}
+
+// Recorded on whatever the prompts generate: { [id]: active version }
+function promptVersions(...ids) {
+  const saved = loadPref("promptTemplates", {});
+  return Object.fromEntries(ids.map(id => [id, activeTemplate(id, saved).version]));
+}
+
+// Appends text as the next version of id and makes it active. Oldest
+// inactive versions fall off past PROMPT_HISTORY_MAX.
+function addPromptVersion(saved, id, text, source = "edit") {
+  const entry = saved[id] || { active: 0, versions: [] };
+  const version = Math.max(0, ...entry.versions.map(v => v.version)) + 1;
+  let versions = [...entry.versions, { version, text, savedAt: Date.now(), source }];
+  while (versions.length > PROMPT_HISTORY_MAX) {
+    const drop = versions.findIndex(v => v.version !== version);
+    versions = versions.filter((_, i) => i !== drop);
+  }
+  return { ...saved, [id]: { active: version, versions } };
+}
+
+// "Challenge search v2 · Search query built-in"
+function describePrompts(prompts) {
+  return Object.entries(prompts || {}).map(([id, v]) => `${PROMPT_TEMPLATES[id]?.label || id} ${v ? `v${v}` : "built-in"}`).join(" · ");
+}
+
+function setActivePrompt(saved, id, version) {
+  return { ...saved, [id]: { ...(saved[id] || { versions: [] }), active: version } };
+}
+
+function buildPromptExport(saved) {
+  return {
+    kind: PROMPT_EXPORT_KIND, version: 1, exportedAt: new Date().toISOString(),
+    templates: Object.fromEntries(Object.keys(PROMPT_TEMPLATES).map(id => [id, activeTemplate(id, saved)])),
+  };
+}
+
+// A set's template becomes a new active version, unless it matches the one
+// in use already. Resolves to { saved, changed: [id] }.
+function importPromptSet(saved, data) {
+  if (data?.kind !== PROMPT_EXPORT_KIND || typeof data.templates !== "object") {
+    throw new Error("Not an Onchain Dojo prompt set.");
+  }
+  const changed = [];
+  let next = saved;
+  for (const [id, t] of Object.entries(data.templates)) {
+    if (!PROMPT_TEMPLATES[id] || typeof t?.text !== "string" || !t.text.trim()) continue;
+    if (t.text === activeTemplate(id, next).text) continue;
+    next = t.text === PROMPT_TEMPLATES[id].text ? setActivePrompt(next, id, 0) : addPromptVersion(next, id, t.text, "import");
+    changed.push(id);
+  }
+  return { saved: next, changed };
+}
+
+// The PROMPTS panel previews against the open challenge and workspace,
+// filling whatever is missing from this sample
+const PROMPT_PREVIEW_SAMPLE = {
+  challenge: {
+    title: "Miners Ship 12k BTC to Exchanges",
+    problem: "Miner-to-exchange flows hit 12,400 BTC over 72 hours while hashrate stayed flat. Miner reserves fell to a 3-year low. What does this signal?",
+    teachingPoint: "Miner outflows only matter relative to reserves and hashrate stress.",
+    category: "BTC Fundamentals", diff: "Intermediate",
+  },
+  analysis: "Outflows spiked without a hashrate drop, so this isn't capitulation — likely treasury management ahead of a volatility event.",
+  conclusion: "Watch exchange reserves over the next week; if they don't rise, the coins went to OTC desks, not the order book.",
+};
+
+function promptPreviewContext({ challenge, analysis, conclusion, fmt }) {
+  return {
+    cat: challenge?.cat || CATEGORIES[0], diff: challenge?.diff || "Intermediate", day: challenge?.day || getDayNumber(),
+    answerType: challenge?.answerType || "open", focus: challenge?.practice?.focus || "",
+    challenge: challenge || PROMPT_PREVIEW_SAMPLE.challenge,
+    analysis: analysis?.trim() || PROMPT_PREVIEW_SAMPLE.analysis,
+    conclusion: conclusion?.trim() || PROMPT_PREVIEW_SAMPLE.conclusion,
+    fmt: fmt?.template === "post" ? fmt : POST_FORMATS.linkedin, week: [],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROMPT BUILDERS
+// Thin wrappers over the templates above, so callers don't care which
+// version is active.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// SEARCH QUERY: tells Gemini what real event to find first
+function buildSearchQuery(cat, diff) {
+  return renderPrompt("searchQuery", { cat, diff });
+}
+
+// focus (free practice): one of getCategoryAngles or the user's own topic
+function buildSearchPrompt(cat, diff, day, answerType = "open", focus = "") {
+  return renderPrompt("search", { cat, diff, day, answerType, focus });
+}
+
+// Comma-separated focus areas per category — offered as free-practice focuses
+function getCategoryAngles(id) {
+  const map = {
+    btc:   "HODL waves, UTXO age bands, exchange reserves, miner behavior, SOPR, realized price, MVRV",
+    eth:   "staking flows, validator queue, EIP-1559 burn, blob fees, LST dominance, restaking risks",
+    whale: "wallet clustering, exchange inflows/outflows, OTC desk signals, accumulation patterns, insider timing",
+    defi:  "TVL flows, liquidation cascades, yield farming incentives, protocol revenue, ve-token governance, bad debt",
+    nft:   "wash trading patterns, floor price manipulation, royalty evasion, collection lifecycle, blue-chip divergence",
+    l2:    "bridge flows, MEV extraction, sequencer centralization, gas arbitrage, rollup proof delays",
+    macro: "stablecoin dominance, BTC correlation with TradFi, regulatory flow impact, stablecoin depegs, cross-chain contagion",
+  };
+  return map[id] || "general onchain patterns";
+}
+
+function buildFeedbackPrompt(challenge, analysis, conclusion) {
+  return renderPrompt("feedback", { challenge, analysis, conclusion });
+}
+
+function buildThreadPrompt(challenge, analysis, conclusion, dayNum) {
+  return renderPrompt("thread", { challenge, analysis, conclusion, day: dayNum });
+}
+
+function buildPostPrompt(fmt, ctx) {
+  return renderPrompt("post", { fmt, ...ctx });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STORAGE HELPERS
+// Settings needed synchronously at boot (provider + key) stay in localStorage.
+// Everything else lives in the IndexedDB repository below.
+// ─────────────────────────────────────────────────────────────────────────────
+// Provider settings live next to od_gemini_key. Keys for other providers go
+// to od_llm_key so switching back to Gemini doesn't lose the Gemini key.
+// Installs from before providers existed only have od_gemini_key → Gemini.
+function loadLlmConfig() {
+  try {
+    const geminiKey = localStorage.getItem("od_gemini_key") || "";
+    const provider  = localStorage.getItem("od_llm_provider") || (geminiKey ? "gemini" : "");
+    const defaults  = PROVIDERS[provider] || PROVIDERS.gemini;
+    return {
+      provider,
+      model:   localStorage.getItem("od_llm_model")    || defaults.defaultModel,
+      baseUrl: localStorage.getItem("od_llm_base_url") || defaults.defaultBaseUrl,
+      key:     provider === "gemini" ? geminiKey : localStorage.getItem("od_llm_key") || "",
+    };
+  } catch { return { provider: "", model: "", baseUrl: "", key: "" }; }
+}
+
+function saveLlmConfig(cfg) {
+  try {
+    localStorage.setItem("od_llm_provider", cfg.provider);
+    localStorage.setItem("od_llm_model", cfg.model);
+    localStorage.setItem("od_llm_base_url", cfg.baseUrl);
+    localStorage.setItem(cfg.provider === "gemini" ? "od_gemini_key" : "od_llm_key", cfg.key);
+  } catch { /* storage disabled */ }
+}
+
+// Small UI preferences (answer mode, ...) — od_pref_<name>, JSON-encoded
+function loadPref(name, fallback) {
+  try {
+    const raw = localStorage.getItem(`od_pref_${name}`);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch { return fallback; }
+}
+
+function savePref(name, value) {
+  try { localStorage.setItem(`od_pref_${name}`, JSON.stringify(value)); } catch { /* storage disabled */ }
+}
+
+// Disconnect: forget keys + provider, keep model/base URL for next time
+function clearLlmConfig() {
+  try {
+    ["od_llm_provider", "od_gemini_key", "od_llm_key"].forEach(k => localStorage.removeItem(k));
+  } catch { /* storage disabled */ }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DATA LAYER — IndexedDB repository
+// Stores: challenges, attempts, history (all keyed by dateKey), cards
+// (review flashcards, keyed by id, indexed by due), glossary (AI-fetched
+// definitions), schedule (queued posts), outbox (AI requests made offline),
+// practice + practiceAttempts (free practice, keyed practice-<ms>) and meta (out-of-line keys:
+// "streak", "skills", "reminders", "dayBoundary", migration flags). Every method returns a
+// promise that rejects with a StorageError — callers surface it via showToast.
+// ─────────────────────────────────────────────────────────────────────────────
+const DB_NAME    = "onchain_dojo";
+const DB_VERSION = 7;
+const CHALLENGE_TTL_DAYS = 60; // unattempted cached challenges older than this get pruned
+
+class StorageError extends Error {
+  constructor(message, { quota = false, cause } = {}) {
+    super(message);
+    this.name  = "StorageError";
+    this.quota = quota;
+    this.cause = cause;
+  }
+}
+
+function toStorageError(err) {
+  if (err instanceof StorageError) return err;
+  if (err?.name === "QuotaExceededError") {
+    return new StorageError("Browser storage is full — export a backup and clear old data.", { quota: true, cause: err });
+  }
+  return new StorageError(err?.message || "IndexedDB request failed", { cause: err });
+}
+
+// MIGRATIONS[v] upgrades the schema from v-1 to v. Append new versions,
+// never edit one that has shipped.
+const MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore("challenges", { keyPath: "dateKey" });
+    db.createObjectStore("attempts",   { keyPath: "dateKey" });
+    db.createObjectStore("history",    { keyPath: "dateKey" });
+    db.createObjectStore("meta");
+  },
+  2: (db) => {
+    db.createObjectStore("cards", { keyPath: "id" }).createIndex("due", "due");
+  },
+  3: (db) => {
+    db.createObjectStore("glossary", { keyPath: "id" });
+  },
+  4: (db) => {
+    db.createObjectStore("schedule", { keyPath: "id" });
+  },
+  5: (db) => {
+    db.createObjectStore("outbox", { keyPath: "id" });
+  },
+  6: (db, t) => {
+    rekeyOffsetDays(t.objectStore("challenges"), () => false);
+    rekeyOffsetDays(t.objectStore("attempts"), (existing, moved) => moved.updatedAt > existing.updatedAt);
+    rekeyOffsetDays(t.objectStore("history"), () => false);
+  },
+  7: (db) => {
+    db.createObjectStore("practice",         { keyPath: "dateKey" });
+    db.createObjectStore("practiceAttempts", { keyPath: "dateKey" });
+  },
+};
+
+// offset_<day> records move to that day's date key. When the date key has a
+// record too, it stays unless wins(existing, moved) says otherwise.
+function rekeyOffsetDays(store, wins) {
+  store.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const dateKey = canonicalDateKey(cursor.value.dateKey);
+    if (dateKey !== cursor.value.dateKey) {
+      const moved = { ...cursor.value, dateKey };
+      store.get(dateKey).onsuccess = (ev) => {
+        if (!ev.target.result || wins(ev.target.result, moved)) store.put(moved);
+      };
+      cursor.delete();
+    }
+    cursor.continue();
+  };
+}
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(toStorageError(req.error));
+      req.onblocked = () => reject(new StorageError("Close other Onchain Dojo tabs to finish the database upgrade."));
+    })
+      .then(async (db) => {
+        await migrateLocalStorage(db);
+        await pruneStaleChallenges(db);
+        return db;
+      })
+      .catch((e) => { dbPromise = null; throw toStorageError(e); });
+  }
+  return dbPromise;
+}
+
+// Run one transaction. op(stores) returns an IDBRequest, or any { result }
+// holder it fills in itself; the promise resolves with .result on commit.
+function runTx(db, storeNames, mode, op) {
+  return new Promise((resolve, reject) => {
+    const names = [].concat(storeNames);
+    const t = db.transaction(names, mode);
+    const stores = names.map(n => t.objectStore(n));
+    const out = op(...stores);
+    t.oncomplete = () => resolve(out?.result);
+    t.onabort    = () => reject(toStorageError(t.error));
+  });
+}
+
+async function tx(storeNames, mode, op) {
+  return runTx(await openDB(), storeNames, mode, op);
+}
+
+// One-time import of the legacy od_* localStorage keys. Stale unattempted
+// challenges (od_challenge_YYYY-MM-DD / od_challenge_offset_N) are dropped
+// instead of imported; all legacy keys are removed once the import commits.
+async function migrateLocalStorage(db) {
+  const done = await runTx(db, "meta", "readonly", meta => meta.get("migratedLocalStorage"));
+  if (done) return;
+
+  const read = (k) => { try { return JSON.parse(localStorage.getItem(k)); } catch { return null; } };
+  const keys = Object.keys(localStorage);
+  const attempts   = keys.filter(k => k.startsWith("od_attempt_")).map(read).filter(a => a?.dateKey)
+    .map(a => ({ ...a, dateKey: canonicalDateKey(a.dateKey) }));
+  const attempted  = new Set(attempts.map(a => a.dateKey));
+  const challenges = keys.filter(k => k.startsWith("od_challenge_"))
+    .map(k => ({ ...read(k), dateKey: canonicalDateKey(k.slice("od_challenge_".length)) }))
+    .filter(c => c.title && (attempted.has(c.dateKey) || !isStaleChallenge(c)));
+  const history = (read("od_history") || []).map(h => ({ ...h, dateKey: canonicalDateKey(h.dateKey || h.date) }));
+  const streak  = {
+    count: parseInt(localStorage.getItem("od_streak") || "0"),
+    last:  localStorage.getItem("od_streak_date") || "",
+  };
+
+  await runTx(db, ["challenges", "attempts", "history", "meta"], "readwrite", (cs, as, hs, meta) => {
+    challenges.forEach(c => cs.put(c));
+    attempts.forEach(a => as.put(a));
+    history.forEach(h => hs.put(h));
+    meta.put(streak, "streak");
+    meta.put(Date.now(), "migratedLocalStorage");
+  });
+
+  keys.filter(k => /^od_(challenge_|attempt_|history$|streak)/.test(k))
+    .forEach(k => localStorage.removeItem(k));
+}
+
+function isStaleChallenge(c) {
+  return typeof c.day === "number" && getDayNumber() - c.day > CHALLENGE_TTL_DAYS;
+}
+
+async function pruneStaleChallenges(db) {
+  const [challenges, attemptKeys] = await Promise.all([
+    runTx(db, "challenges", "readonly", s => s.getAll()),
+    runTx(db, "attempts",   "readonly", s => s.getAllKeys()),
+  ]);
+  const attempted = new Set(attemptKeys);
+  const stale = challenges.filter(c => !attempted.has(c.dateKey) && isStaleChallenge(c));
+  if (stale.length) {
+    await runTx(db, "challenges", "readwrite", s => stale.forEach(c => s.delete(c.dateKey)));
+  }
+}
+
+// Free-practice challenges are keyed practice-<ms> and kept in their own
+// stores, so they never show up in history, stats or the archive (backups
+// carry them separately)
+const PRACTICE_PREFIX = "practice-";
+
+function isPracticeKey(key) {
+  return String(key).startsWith(PRACTICE_PREFIX);
+}
+
+const challengeStore = (key) => isPracticeKey(key) ? "practice" : "challenges";
+const attemptStore   = (key) => isPracticeKey(key) ? "practiceAttempts" : "attempts";
+
+const repo = {
+  getChallenge:    (dateKey) => tx(challengeStore(dateKey),    "readonly",  s => s.get(dateKey)),
+  listChallenges:  ()        => tx("challenges",               "readonly",  s => s.getAll()),
+  putChallenge:    (ch)      => tx(challengeStore(ch.dateKey), "readwrite", s => s.put(ch)),
+  deleteChallenge: (dateKey) => tx(challengeStore(dateKey),    "readwrite", s => s.delete(dateKey)),
+  listPractice: async () => (await tx("practice", "readonly", s => s.getAll())).sort((a, b) => b.createdAt - a.createdAt),
+  listPracticeAttempts: () => tx("practiceAttempts", "readonly", s => s.getAll()),
+
+  getAttempt:   (dateKey) => tx(attemptStore(dateKey),         "readonly",  s => s.get(dateKey)),
+  putAttempt:   (attempt) => tx(attemptStore(attempt.dateKey), "readwrite", s => s.put(attempt)),
+  // Regenerate: the replaced challenge's attempt moves into previous[] and
+  // the new challenge starts from a fresh one
+  archiveAttempt: (ch) => tx(attemptStore(ch.dateKey), "readwrite", (s) => {
+    const req = s.get(ch.dateKey);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      const { previous = [], ...old } = req.result;
+      const kept = isAttemptStarted(old) || old.threads?.length ? [{ ...old, archivedAt: Date.now() }] : [];
+      s.put({ ...newAttempt(ch), ...(previous.length + kept.length && { previous: [...previous, ...kept] }) });
+    };
+  }),
+  listAttempts: ()        => tx("attempts",                    "readonly",  s => s.getAll()),
+
+  // Newest first; no cap — every completed challenge keeps its entry
+  listHistory: async () => {
+    const all = await tx("history", "readonly", s => s.getAll());
+    return all.sort((a, b) => (b.day ?? 0) - (a.day ?? 0) || String(b.date).localeCompare(String(a.date)));
+  },
+  pushHistory: (entry) => tx("history", "readwrite", s => s.put(entry)),
+
+  getMeta: (key)        => tx("meta", "readonly",  s => s.get(key)),
+  setMeta: (key, value) => tx("meta", "readwrite", s => s.put(value, key)),
+
+  // Bulk write used by backup import — one transaction, all or nothing
+  replaceAll: ({ challenges, attempts, history, streak, skills, cards = [], practice = [], practiceAttempts = [] }) =>
+    tx(["challenges", "attempts", "history", "meta", "cards", "practice", "practiceAttempts"], "readwrite", (cs, as, hs, meta, cds, ps, pas) => {
+      challenges.forEach(c => cs.put(c));
+      attempts.forEach(a => as.put(a));
+      history.forEach(h => hs.put(h));
+      cards.forEach(c => cds.put(c));
+      practice.forEach(c => ps.put(c));
+      practiceAttempts.forEach(a => pas.put(a));
+      meta.put(streak, "streak");
+      if (skills) meta.put(skills, "skills");
+    }),
+
+  // Review cards. addCards never overwrites — a card's schedule survives
+  // re-completing the same challenge.
+  addCards: (cards) => tx("cards", "readwrite", (s) => {
+    cards.forEach(c => { s.add(c).onerror = (e) => { e.preventDefault(); e.stopPropagation(); }; });
+  }),
+  putCard:      (card) => tx("cards", "readwrite", s => s.put(card)),
+  listCards:    ()     => tx("cards", "readonly",  s => s.getAll()),
+  listDueCards: (now = Date.now()) => tx("cards", "readonly", s => s.index("due").getAll(IDBKeyRange.upperBound(now))),
+  countDueCards: (now = Date.now()) => tx("cards", "readonly", s => s.index("due").count(IDBKeyRange.upperBound(now))),
+
+  // LLM-fetched definitions for metrics the bundled glossary doesn't cover
+  listGlossary:       ()      => tx("glossary", "readonly",  s => s.getAll()),
+  putGlossaryEntry:   (entry) => tx("glossary", "readwrite", s => s.put(entry)),
+  deleteGlossaryEntry: (id)   => tx("glossary", "readwrite", s => s.delete(id)),
+
+  // Post schedule queue (public/sw.js reads and updates this store too)
+  listSchedule:    ()     => tx("schedule", "readonly",  s => s.getAll()),
+  putScheduled:    (item) => tx("schedule", "readwrite", s => s.put(item)),
+  deleteScheduled: (id)   => tx("schedule", "readwrite", s => s.delete(id)),
+
+  listOutbox:   ()     => tx("outbox", "readonly",  s => s.getAll()),
+  putOutbox:    (item) => tx("outbox", "readwrite", s => s.put(item)),
+  deleteOutbox: (id)   => tx("outbox", "readwrite", s => s.delete(id)),
+
+  // Read-modify-write so feedback + quiz results can't clobber each other
+  updateSkill: (catId, diff, performance) => tx("meta", "readwrite", (meta) => {
+    const out = {};
+    const req = meta.get("skills");
+    req.onsuccess = () => {
+      const skills = { ...req.result, [catId]: updateSkillRating(req.result?.[catId], diff, performance) };
+      meta.put(skills, "skills");
+      out.result = skills;
+    };
+    return out;
+  }),
+
+  loadStreak: async () => ({ count: 0, last: "", freezes: 0, ...(await repo.getMeta("streak")) }),
+
+  // Read-modify-write inside one transaction so two tabs can't double-bump.
+  // Resolves to advanceStreak's { streak, usedFreezes, earnedFreeze }.
+  bumpStreak: () => tx("meta", "readwrite", (meta) => {
+    const out = {};
+    const req = meta.get("streak");
+    req.onsuccess = () => {
+      const res = advanceStreak(req.result, todayKey());
+      meta.put(res.streak, "streak");
+      out.result = res;
+    };
+    return out;
+  }),
+
+  loadReminders: async () => ({ ...DEFAULT_REMINDERS, ...(await repo.getMeta("reminders")) }),
+
+  // Read-modify-write so parallel calls (feedback + thread) both count;
+  // drops days older than USAGE_KEEP_DAYS on the way
+  addUsage: (dateKey, model, feature, usage) => tx("meta", "readwrite", (meta) => {
+    const req = meta.get("usage");
+    req.onsuccess = () => {
+      const cutoff = addDays(dateKey, -USAGE_KEEP_DAYS);
+      const all = Object.fromEntries(Object.entries(req.result || {}).filter(([day]) => day >= cutoff));
+      const row = ((all[dateKey] ||= {})[model] ||= {})[feature] ||= { calls: 0, prompt: 0, output: 0, grounding: 0 };
+      row.calls++;
+      row.prompt    += usage?.prompt || 0;
+      row.output    += usage?.output || 0;
+      row.grounding += usage?.grounding || 0;
+      meta.put(all, "usage");
+    };
+  }),
+};
+
+// Attempt = everything written for one challenge, keyed by its dateKey:
+// { dateKey, day, title, category, difficulty, analysis, conclusion,
+//   feedback: [feedback entry], threads: [{ tweets, at, platform, prompts, editedAt? }],
+//   answers: [{ response, correct, score, at }] (quiz challenges), createdAt, updatedAt,
+//   previous?: [attempt + archivedAt] (attempts on challenges regenerated away) }
+function newAttempt(ch) {
+  const now = Date.now();
+  return {
+    dateKey: ch.dateKey, day: ch.day,
+    title: ch.title, category: ch.category, difficulty: ch.diff,
+    analysis: "", conclusion: "", feedback: [], threads: [], answers: [],
+    createdAt: now, updatedAt: now,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BACKUP — versioned JSON export/import + Markdown journal
+// API keys are never exported; settings only carry provider/model/base URL.
+// ─────────────────────────────────────────────────────────────────────────────
+const BACKUP_VERSION = 1;
+
+async function buildBackup(llm) {
+  const [challenges, attempts, history, streak, skills, cards, practice, practiceAttempts] = await Promise.all([
+    repo.listChallenges(), repo.listAttempts(), repo.listHistory(), repo.loadStreak(), repo.getMeta("skills"),
+    repo.listCards(), repo.listPractice(), repo.listPracticeAttempts(),
+  ]);
+  return {
+    app: "onchain_dojo", backupVersion: BACKUP_VERSION, dbVersion: DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    challenges, attempts, history, streak, skills: skills || {}, cards, practice, practiceAttempts,
+    settings: { provider: llm.provider, model: llm.model, baseUrl: llm.baseUrl },
+  };
+}
+
+// Returns a list of problems; empty list = importable
+function validateBackup(data) {
+  if (!data || typeof data !== "object") return ["File is not a JSON object."];
+  if (data.app !== "onchain_dojo") return ["Not an Onchain Dojo backup (missing app: \"onchain_dojo\")."];
+  if (!Number.isInteger(data.backupVersion) || data.backupVersion > BACKUP_VERSION) {
+    return [`Unsupported backup version ${data.backupVersion} — this app reads up to v${BACKUP_VERSION}.`];
+  }
+  const errors = [];
+  for (const field of ["challenges", "attempts", "history"]) {
+    if (!Array.isArray(data[field])) { errors.push(`"${field}" must be an array.`); continue; }
+    const bad = data[field].filter(r => !r || typeof r.dateKey !== "string" || !r.dateKey);
+    if (bad.length) errors.push(`${bad.length} ${field} record(s) have no dateKey.`);
+  }
+  // Free practice arrived later — older backups simply don't have it
+  for (const field of ["practice", "practiceAttempts"]) {
+    if (data[field] === undefined) continue;
+    if (!Array.isArray(data[field]) || data[field].some(r => !isPracticeKey(r?.dateKey))) {
+      errors.push(`"${field}" must be an array of records keyed ${PRACTICE_PREFIX}<ms>.`);
+    }
+  }
+  for (const a of [...(Array.isArray(data.attempts) ? data.attempts : []), ...(Array.isArray(data.practiceAttempts) ? data.practiceAttempts : [])]) {
+    if (!Array.isArray(a?.feedback) || !Array.isArray(a?.threads)) {
+      errors.push(`Attempt ${a?.dateKey} is missing feedback/threads arrays.`);
+      break;
+    }
+  }
+  if (data.cards !== undefined && (!Array.isArray(data.cards) || data.cards.some(c => typeof c?.id !== "string"))) {
+    errors.push("\"cards\" must be an array of cards with string ids.");
+  }
+  if (data.streak && (typeof data.streak.count !== "number" || typeof data.streak.last !== "string")) {
+    errors.push("\"streak\" must look like { count, last }.");
+  }
+  return errors;
+}
+
+// Merge rules: existing challenges win (they're what the UI already showed);
+// attempts keep the most recently edited text and the union of feedback +
+// thread versions; history is a union; streak keeps the later/longer one;
+// each category's skill rating keeps whichever side has more samples;
+// review cards keep whichever copy was reviewed last. Free practice
+// challenges and attempts merge like the daily ones.
+function mergeBackup(current, incoming) {
+  // Backups from before day boundaries may still carry offset_<day> keys
+  const byKey = (list) => new Map(list.map(r => [canonicalDateKey(r.dateKey), { ...r, dateKey: canonicalDateKey(r.dateKey) }]));
+  // Same `at` = same entry; a thread edited on both sides keeps the later edit
+  const unionByAt = (a, b) => {
+    const m = new Map();
+    for (const x of [...a, ...b]) if ((x.editedAt || 0) >= (m.get(x.at)?.editedAt || 0)) m.set(x.at, x);
+    return [...m.values()].sort((x, y) => x.at - y.at);
+  };
+
+  const mergeChallenges = (cur, inc = []) => {
+    const merged = byKey(inc);
+    cur.forEach(c => merged.set(c.dateKey, c));
+    return [...merged.values()];
+  };
+
+  const mergeAttempts = (current, incoming = []) => {
+    const attempts = byKey(current);
+    for (const inc of byKey(incoming).values()) {
+      const cur = attempts.get(inc.dateKey);
+      if (!cur) { attempts.set(inc.dateKey, inc); continue; }
+      const base = (inc.updatedAt || 0) > (cur.updatedAt || 0) ? inc : cur;
+      attempts.set(inc.dateKey, {
+        ...base,
+        feedback:  unionByAt(cur.feedback, inc.feedback),
+        threads:   unionByAt(cur.threads, inc.threads),
+        createdAt: Math.min(cur.createdAt || Infinity, inc.createdAt || Infinity),
+        // Archived attempts of regenerated challenges: same archivedAt = same one
+        ...((cur.previous || inc.previous) && {
+          previous: [...new Map([...(cur.previous || []), ...(inc.previous || [])].map(p => [p.archivedAt, p])).values()]
+            .sort((x, y) => x.archivedAt - y.archivedAt),
+        }),
+      });
+    }
+    return [...attempts.values()];
+  };
+
+  const history = byKey(incoming.history);
+  current.history.forEach(h => history.set(h.dateKey, h));
+
+  const a = current.streak, b = incoming.streak || current.streak;
+  const streak = b.last > a.last || (b.last === a.last && b.count > a.count) ? b : a;
+
+  const cards = new Map(current.cards.map(c => [c.id, c]));
+  for (const c of incoming.cards || []) {
+    const cur = cards.get(c.id);
+    if (!cur || (c.lastReviewedAt || 0) > (cur.lastReviewedAt || 0)) cards.set(c.id, c);
+  }
+
+  const skills = { ...current.skills };
+  for (const [id, sk] of Object.entries(incoming.skills || {})) {
+    if (!skills[id] || (sk?.samples ?? 0) > (skills[id].samples ?? 0)) skills[id] = sk;
+  }
+
+  return {
+    challenges: mergeChallenges(current.challenges, incoming.challenges),
+    attempts:   mergeAttempts(current.attempts, incoming.attempts),
+    history:    [...history.values()],
+    streak,
+    skills,
+    cards:      [...cards.values()],
+    practice:         mergeChallenges(current.practice, incoming.practice),
+    practiceAttempts: mergeAttempts(current.practiceAttempts, incoming.practiceAttempts),
+  };
+}
+
+async function importBackup(data, llm) {
+  const errors = validateBackup(data);
+  if (errors.length) throw new Error(errors.join(" "));
+  const merged = mergeBackup(await buildBackup(llm), data);
+  await repo.replaceAll(merged);
+  return {
+    challenges: data.challenges.length,
+    attempts:   data.attempts.length,
+    practice:   (data.practice || []).length,
+    settings:   data.settings || null,
+  };
+}
+
+function buildJournalMarkdown(challenges, attempts) {
+  const chByKey = new Map(challenges.map(c => [c.dateKey, c]));
+  const days = [...attempts].sort((a, b) => (a.day ?? 0) - (b.day ?? 0));
+  const lines = ["# Onchain Dojo Journal", "", `_Exported ${todayKey()} · ${days.length} day(s)_`, ""];
+  for (const a of days) {
+    const c = chByKey.get(a.dateKey) || {};
+    lines.push(`## Day ${a.day} — ${c.title || a.title}`, "");
+    lines.push(`*${[c.category || a.category, c.diff || a.difficulty, a.dateKey].filter(Boolean).join(" · ")}*`, "");
+    if (c.realEvent) lines.push(`**Real event:** ${c.realEvent}`, "");
+    if (c.source)    lines.push(`**Source:** ${c.source}`, "");
+    if (c.problem)   lines.push("### Problem", "", c.problem, "");
+    lines.push("### Analysis", "", a.analysis || "_(empty)_", "");
+    lines.push("### Conclusion", "", a.conclusion || "_(empty)_", "");
+    a.feedback.forEach((f, i) => {
+      lines.push(`### Feedback${a.feedback.length > 1 ? ` #${i + 1}` : ""}`, "", f.text, "");
+    });
+  }
+  return lines.join("\n");
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CHALLENGE CARD (PNG)
+// Drawn on a canvas in the dojo's terminal look, sized for an X/Farcaster
+// image attachment (16:9).
+// ─────────────────────────────────────────────────────────────────────────────
+const CARD_W = 1200;
+const CARD_H = 675;
+const CARD_FONT = "'Courier New', 'Lucida Console', monospace";
+
+// Word-wrap onto at most maxLines lines; the last one gets an ellipsis
+function wrapCanvasText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (ctx.measureText(next).width <= maxWidth || !line) { line = next; continue; }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) break;
+  }
+  if (lines.length < maxLines && line) lines.push(line);
+  else if (line && lines.length === maxLines) {
+    let last = lines[maxLines - 1];
+    while (last && ctx.measureText(last + "…").width > maxWidth) last = last.slice(0, -1);
+    lines[maxLines - 1] = last.trimEnd() + "…";
+  }
+  return lines;
+}
+
+// data = { challenge, cat, diff, day, streak }
+function drawChallengeCard(ctx, { challenge, cat, diff, day, streak }) {
+  const pad = 64;
+  const diffColor = DIFF_COLORS[diff] || "#3a6a3a";
+
+  // Background, grid, scanlines
+  ctx.fillStyle = "#050508";
+  ctx.fillRect(0, 0, CARD_W, CARD_H);
+  ctx.strokeStyle = "rgba(0,201,167,0.05)";
+  ctx.lineWidth = 1;
+  for (let x = 0; x <= CARD_W; x += 48) { ctx.beginPath(); ctx.moveTo(x + 0.5, 0); ctx.lineTo(x + 0.5, CARD_H); ctx.stroke(); }
+  for (let y = 0; y <= CARD_H; y += 48) { ctx.beginPath(); ctx.moveTo(0, y + 0.5); ctx.lineTo(CARD_W, y + 0.5); ctx.stroke(); }
+  ctx.fillStyle = "rgba(0,0,0,0.18)";
+  for (let y = 0; y < CARD_H; y += 4) ctx.fillRect(0, y, CARD_W, 2);
+
+  // Category accent bar + frame
+  ctx.fillStyle = cat.color;
+  ctx.fillRect(0, 0, 10, CARD_H);
+  ctx.strokeStyle = "#1a3a1a";
+  ctx.strokeRect(24.5, 24.5, CARD_W - 49, CARD_H - 49);
+
+  ctx.textBaseline = "top";
+
+  // Header: prompt line + day
+  ctx.font = `bold 22px ${CARD_FONT}`;
+  ctx.fillStyle = "#00c9a7";
+  ctx.fillText("$ onchain_dojo", pad, pad - 8);
+  ctx.textAlign = "right";
+  ctx.fillStyle = "#4a7a4a";
+  ctx.fillText(`DAY ${String(day).padStart(3, "0")}`, CARD_W - pad, pad - 8);
+  ctx.textAlign = "left";
+
+  // Badges: category + difficulty
+  let x = pad;
+  const badge = (label, color) => {
+    ctx.font = `bold 20px ${CARD_FONT}`;
+    const w = ctx.measureText(label).width + 28;
+    ctx.fillStyle = color + "22";
+    ctx.fillRect(x, pad + 40, w, 38);
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x + 0.5, pad + 40.5, w - 1, 37);
+    ctx.fillStyle = color;
+    ctx.fillText(label, x + 14, pad + 49);
+    x += w + 14;
+  };
+  badge(`${cat.emoji} ${cat.label.toUpperCase()}`, cat.color);
+  badge(String(diff).toUpperCase(), diffColor);
+
+  // Title
+  ctx.font = `bold 50px ${CARD_FONT}`;
+  ctx.fillStyle = "#e8e8e8";
+  const titleLines = wrapCanvasText(ctx, challenge.title, CARD_W - pad * 2, 3);
+  titleLines.forEach((l, i) => ctx.fillText(l, pad, pad + 110 + i * 62));
+
+  // Key metrics
+  let y = pad + 110 + titleLines.length * 62 + 26;
+  ctx.font = `18px ${CARD_FONT}`;
+  ctx.fillStyle = "#2a6a2a";
+  ctx.fillText("// KEY_METRICS", pad, y);
+  y += 32;
+  ctx.font = `24px ${CARD_FONT}`;
+  for (const m of (challenge.keyMetrics || []).slice(0, 4)) {
+    ctx.fillStyle = "#1a4a1a";
+    ctx.fillText("›", pad, y);
+    ctx.fillStyle = "#7ab87a";
+    ctx.fillText(wrapCanvasText(ctx, m, CARD_W - pad * 2 - 30, 1)[0] || "", pad + 26, y);
+    y += 34;
+  }
+
+  // Footer: streak + call to action
+  const footY = CARD_H - pad - 22;
+  ctx.font = `bold 24px ${CARD_FONT}`;
+  ctx.fillStyle = "#f59e0b";
+  ctx.fillText(`🔥 ${streak} day streak`, pad, footY);
+  ctx.textAlign = "right";
+  ctx.font = `20px ${CARD_FONT}`;
+  ctx.fillStyle = "#2a6a2a";
+  ctx.fillText("can you read the chain? ▮", CARD_W - pad, footY + 2);
+  ctx.textAlign = "left";
+}
+
+function renderChallengeCard(data) {
+  const canvas = document.createElement("canvas");
+  canvas.width = CARD_W;
+  canvas.height = CARD_H;
+  drawChallengeCard(canvas.getContext("2d"), data);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The browser couldn't encode the PNG.")), "image/png");
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCHEDULE QUEUE
+// Threads queued for a posting time. Item = { id, dateKey, day, title,
+//   platform, tweets (snapshot at queue time), intentUrl, scheduledFor (ms),
+//   status: "scheduled" | "notified" | "posted", notifiedAt, postedAt, postUrl }
+// The open tab checks every SCHEDULE_POLL_MS; public/sw.js shows the
+// notification and, for installed apps with periodic sync, checks on its own.
+// ─────────────────────────────────────────────────────────────────────────────
+const SCHEDULE_POLL_MS = 30_000;
+const SW_URL = "/sw.js";
+
+function newScheduleItem(ch, fmt, tweets, scheduledFor) {
+  return {
+    id: `${ch.dateKey}:${fmt.id}:${scheduledFor}`,
+    dateKey: ch.dateKey, day: ch.day, title: ch.title,
+    platform: fmt.id, tweets: [...tweets],
+    intentUrl: fmt.intent ? fmt.intent(tweets[0]) : null,
+    scheduledFor, status: "scheduled", notifiedAt: null, postedAt: null, postUrl: "",
+  };
+}
+
+function isScheduleDue(item, now = Date.now()) {
+  return item.status === "scheduled" && item.scheduledFor <= now;
+}
+
+// "2026-03-01T09:30" for <input type="datetime-local">, in local time
+function toLocalInputValue(ms) {
+  const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    // The dev server serves unbundled modules — ?dev turns the worker's caching off
+    const reg = await navigator.serviceWorker.register(import.meta.env?.DEV ? `${SW_URL}?dev` : SW_URL);
+    // Chromium-only, installed apps only: lets the worker check the queue with no tab open
+    if ("periodicSync" in reg) {
+      await reg.periodicSync.register("schedule-check", { minInterval: 15 * 60 * 1000 }).catch(() => {});
+    }
+    return reg;
+  } catch {
+    return null;
+  }
+}
+
+function canNotify() {
+  return typeof Notification !== "undefined" && Notification.permission === "granted";
+}
+
+// Through the service worker when there is one, so clicks are handled there
+async function showAppNotification(title, options) {
+  const reg = "serviceWorker" in navigator && await navigator.serviceWorker.getRegistration(SW_URL);
+  if (reg) return reg.showNotification(title, options);
+  const n = new Notification(title, options);
+  n.onclick = () => {
+    if (options.data.url === "/") window.focus();
+    else window.open(options.data.url, "_blank");
+    n.close();
+  };
+}
+
+function showScheduleNotification(item) {
+  const fmt = POST_FORMATS[item.platform] || POST_FORMATS.x;
+  return showAppNotification(`⏰ Time to post: Day ${item.day}`, {
+    body: `${fmt.label} — ${item.title}\n${item.tweets[0].slice(0, 120)}`,
+    tag: item.id,
+    requireInteraction: true,
+    data: { id: item.id, url: item.intentUrl || "/" },
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STREAK + REMINDERS
+// Streak = { count, last (date of the last active day), freezes }. Every
+// STREAK_FREEZE_EVERY consecutive days earns a freeze (max STREAK_MAX_FREEZES);
+// the next bump spends freezes to cover missed days instead of resetting.
+// Reminders = { enabled, time, riskTime ("HH:MM" in the day-boundary zone),
+//   lastDaily, lastRisk }
+// live in meta so public/sw.js can send them too; last* stop repeats.
+// ─────────────────────────────────────────────────────────────────────────────
+const STREAK_FREEZE_EVERY = 7;
+const STREAK_MAX_FREEZES  = 2;
+const REMINDER_POLL_MS    = 60_000;
+const DEFAULT_REMINDERS   = { enabled: false, time: "19:00", riskTime: "22:00", lastDaily: "", lastRisk: "" };
+
+function advanceStreak(streak, today) {
+  const { count = 0, last = "", freezes = 0 } = streak || {};
+  // last > today after moving to a time zone further west — already done
+  if (last >= today) return { streak: { count, last, freezes }, usedFreezes: 0, earnedFreeze: false };
+  const missed = last ? Math.max(0, daysBetween(last, today) - 1) : Infinity;
+  const kept = missed <= freezes;
+  const usedFreezes = kept ? missed : 0;
+  const nextCount = kept ? count + 1 : 1;
+  const left = freezes - usedFreezes;
+  const earnedFreeze = nextCount % STREAK_FREEZE_EVERY === 0 && left < STREAK_MAX_FREEZES;
+  return {
+    streak: { count: nextCount, last: today, freezes: left + (earnedFreeze ? 1 : 0) },
+    usedFreezes,
+    earnedFreeze,
+  };
+}
+
+// "done" today, "open" (today's activity keeps it, maybe spending freezes),
+// "lost" (the next activity starts over) or "none"
+function streakStatus(streak, today) {
+  if (!streak?.count) return "none";
+  if (streak.last >= today) return "done";
+  return daysBetween(streak.last, today) - 1 <= (streak.freezes || 0) ? "open" : "lost";
+}
+
+// Reminder times are wall-clock times in the day-boundary zone, counted from
+// the reset hour — with a 04:00 reset, 01:00 is later in the day than 22:00
+function minutesIntoDay(hhmm, { resetHour }) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return ((h - resetHour) * 60 + m + 1440) % 1440;
+}
+
+function isPastTime(hhmm, now = Date.now(), boundary = loadDayBoundary()) {
+  const p = zonedParts(now, boundary.timeZone);
+  return minutesIntoDay(`${p.hour}:${p.minute}`, boundary) >= minutesIntoDay(hhmm, boundary);
+}
+
+// Late in the day with an open streak — shown in the header whether or not
+// notifications are on
+function isStreakAtRisk(streak, reminders, today, now = Date.now()) {
+  return streakStatus(streak, today) === "open" && isPastTime(reminders.riskTime, now);
+}
+
+// Which reminders are due now: [] | ["daily"] | ["risk"] | ["daily", "risk"]
+function dueReminders(reminders, streak, today, now = Date.now()) {
+  if (!reminders.enabled || streak.last >= today) return [];
+  const due = [];
+  if (isPastTime(reminders.time, now) && reminders.lastDaily !== today) due.push("daily");
+  if (isStreakAtRisk(streak, reminders, today, now) && reminders.lastRisk !== today) due.push("risk");
+  return due;
+}
+
+// For completion toasts; completeChallenge resolves to null for free practice
+function streakLabel(count) {
+  return count === null ? "Practice — streak unchanged" : `Streak: ${count} day${count !== 1 ? "s" : ""}`;
+}
+
+// Only the most urgent one is shown when both are due
+function showReminderNotification(kind, streak) {
+  const risk = kind === "risk";
+  return showAppNotification(risk ? `🔥 Your ${streak.count}-day streak is at risk` : "🥋 Today's challenge is waiting", {
+    body: risk
+      ? `Finish today's challenge or a review session before the day ends.${streak.freezes ? ` (${streak.freezes} freeze${streak.freezes > 1 ? "s" : ""} left)` : ""}`
+      : "A few minutes of onchain analysis keeps the streak going.",
+    tag: "dojo-reminder",
+    data: { url: "/" },
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ACTIVITY STATS
+// Everything is derived from the local stores (history, attempts,
+// challenges), so the dashboard works offline. "Offered" = every challenge
+// that was generated or completed, so pruned unattempted ones don't count.
+// ─────────────────────────────────────────────────────────────────────────────
+const HEATMAP_WEEKS = 53;
+
+// Longest run of consecutive dates (freezes don't count here)
+function longestRun(dateKeys) {
+  const sorted = [...new Set(dateKeys)].sort();
+  let best = 0, run = 0;
+  sorted.forEach((d, i) => {
+    run = i > 0 && daysBetween(sorted[i - 1], d) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+  return best;
+}
+
+function wordCount(text) {
+  return (text.trim().match(/\S+/g) || []).length;
+}
+
+// → { perDay: { [date]: n }, activeDays, longestStreak, completed,
+//     byCategory: [{ cat, offered, completed }], byDifficulty: [{ diff, offered, completed }],
+//     avgAnalysisWords, avgAnalysisChars, analysed, scores: [{ day, dateKey, scores, overall }],
+//     scoreTrend: recent-vs-early average overall, or null }
+function computeStats({ history, attempts, challenges }) {
+  const perDay = {};
+  history.forEach(h => { perDay[h.date] = (perDay[h.date] || 0) + 1; });
+
+  const offered = new Map(challenges.map(c => [c.dateKey, { category: c.category, difficulty: c.diff }]));
+  history.forEach(h => { if (!offered.has(h.dateKey)) offered.set(h.dateKey, h); });
+  const done = new Set(history.map(h => h.dateKey));
+  const rate = (match) => {
+    const keys = [...offered].filter(([, o]) => match(o)).map(([k]) => k);
+    return { offered: keys.length, completed: keys.filter(k => done.has(k)).length };
+  };
+
+  const written = attempts.filter(a => a.analysis?.trim());
+  const avg = (f) => written.length ? Math.round(written.reduce((sum, a) => sum + f(a.analysis), 0) / written.length) : 0;
+
+  const scores = Object.values(scoreSeriesByCategory(attempts)).flat().sort((a, b) => a.day - b.day);
+  const span = Math.min(5, Math.floor(scores.length / 2));
+  const mean = (pts) => pts.reduce((sum, p) => sum + p.overall, 0) / pts.length;
+  const scoreTrend = span ? Math.round((mean(scores.slice(-span)) - mean(scores.slice(0, span))) * 10) / 10 : null;
+
+  return {
+    perDay,
+    activeDays: Object.keys(perDay).length,
+    longestStreak: longestRun(Object.keys(perDay)),
+    completed: done.size,
+    byCategory: CATEGORIES.map(cat => ({ cat, ...rate(o => o.category === cat.label) })),
+    byDifficulty: DIFFICULTIES.map(diff => ({ diff, ...rate(o => o.difficulty === diff) })),
+    avgAnalysisWords: avg(wordCount),
+    avgAnalysisChars: avg(t => t.trim().length),
+    analysed: written.length,
+    scores,
+    scoreTrend,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ARCHIVE
+// Every cached challenge with its completion status. Entry = { challenge,
+//   status: "completed" | "started" | "open" }. Search matches every word of
+// the query against ARCHIVE_FIELDS, case-insensitively.
+// ─────────────────────────────────────────────────────────────────────────────
+const ARCHIVE_FIELDS = ["title", "problem", "realEvent", "teachingPoint"];
+const ARCHIVE_STATUSES = ["completed", "started", "open"];
+const ARCHIVE_PAGE = 100;
+
+function isAttemptStarted(a) {
+  return Boolean(a && (a.analysis?.trim() || a.conclusion?.trim() || a.answers?.length || a.feedback?.length));
+}
+
+function buildArchive(challenges, history, attempts) {
+  const completed = new Set(history.map(h => h.dateKey));
+  const started = new Set(attempts.filter(isAttemptStarted).map(a => a.dateKey));
+  return challenges
+    .map(challenge => ({
+      challenge,
+      status: completed.has(challenge.dateKey) ? "completed" : started.has(challenge.dateKey) ? "started" : "open",
+    }))
+    .sort((a, b) => b.challenge.dateKey.localeCompare(a.challenge.dateKey));
+}
+
+// filters = { query, category (label or ""), difficulty, status }
+function filterArchive(entries, { query = "", category = "", difficulty = "", status = "" }) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(({ challenge: c, status: st }) => {
+    if (category && c.category !== category) return false;
+    if (difficulty && c.diff !== difficulty) return false;
+    if (status && st !== status) return false;
+    const text = ARCHIVE_FIELDS.map(f => c[f] || "").join("\n").toLowerCase();
+    return words.every(w => text.includes(w));
+  });
+}
+
+// The field text around the first query word, for the result row
+function archiveSnippet(c, query, width = 140) {
+  const word = query.toLowerCase().split(/\s+/).find(Boolean);
+  for (const f of word ? ARCHIVE_FIELDS : []) {
+    const i = (c[f] || "").toLowerCase().indexOf(word);
+    if (i === -1) continue;
+    const start = Math.max(0, i - 40);
+    return `${start > 0 ? "…" : ""}${c[f].slice(start, start + width)}${start + width < c[f].length ? "…" : ""}`;
+  }
+  return c.problem?.length > width ? `${c.problem.slice(0, width)}…` : c.problem || "";
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OFFLINE + OUTBOX
+// Feedback and thread requests made without a connection are stored with
+// everything needed to run them later, and replayed when the browser comes
+// back online. Item = { id, kind: "feedback" | "thread", challenge, analysis,
+//   conclusion, platform?, createdAt }
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Local providers (Ollama, fixtures) keep working without a connection
+function isOffline(cfg) {
+  return typeof navigator !== "undefined" && navigator.onLine === false && !PROVIDERS[cfg.provider]?.local;
 }
 
-function loadHistory() {
-  try { return JSON.parse(localStorage.getItem("od_history") || "[]"); } catch { return []; }
+// fetch() rejects with a TypeError when the request never reached the server
+function isNetworkError(e) {
+  if (e instanceof LLMError) return e.kind === "network";
+  return e?.name === "TypeError" && /fetch|network|load failed/i.test(e.message);
 }
 
-function pushHistory(entry) {
-  try {
-    const hist = loadHistory();
-    const deduped = hist.filter(h => h.date !== entry.date);
-    const next = [entry, ...deduped].slice(0, 60);
-    localStorage.setItem("od_history", JSON.stringify(next));
-  } catch {}
+function newOutboxItem(kind, job) {
+  const now = Date.now();
+  return { id: `${kind}:${job.challenge.dateKey}:${now}`, kind, ...job, createdAt: now };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -320,7 +3356,7 @@ function Cursor() {
   return <span style={{ opacity: on ? 1 : 0, color: "#00c9a7" }}>█</span>;
 }
 
-function ProgressBar({ value, max = 280 }) {
+function ProgressBar({ value, max = TWEET_MAX }) {
   const pct = Math.min(100, (value / max) * 100);
   const color = value > max ? "#ef4444" : value > max * 0.85 ? "#f59e0b" : "#00c9a7";
   return (
@@ -335,13 +3371,183 @@ function ProgressBar({ value, max = 280 }) {
   );
 }
 
+// Structured feedback card; old unscored entries render as plain text,
+// sections whose scores didn't parse render without the score bars
+function FeedbackView({ entry }) {
+  if (!entry.scores && !entry.nailed) {
+    return (
+      <div style={{ fontSize: 12, lineHeight: 1.85, color: "#7ab87a", whiteSpace: "pre-wrap", fontFamily: "inherit" }}>
+        {entry.text}
+      </div>
+    );
+  }
+  const section = (label, color, items) => items.length > 0 && (
+    <div style={{ marginTop: 14 }}>
+      <div style={{ fontSize: 9, color, letterSpacing: "0.15em", marginBottom: 6 }}>{label}</div>
+      {items.map((x, i) => (
+        <div key={i} style={{ fontSize: 12, lineHeight: 1.75, color: "#7ab87a", display: "flex", gap: 8 }}>
+          <span style={{ color: "#1a4a1a" }}>›</span> {x}
+        </div>
+      ))}
+    </div>
+  );
+  return (
+    <div>
+      {entry.scores && <>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px 18px" }}>
+          {FEEDBACK_DIMENSIONS.map(d => (
+            <div key={d.id}>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, letterSpacing: "0.1em", marginBottom: 4 }}>
+                <span style={{ color: "#2a6a2a" }}>{d.label.toUpperCase()}</span>
+                <span style={{ color: d.color }}>{entry.scores[d.id]}/10</span>
+              </div>
+              <div style={{ background: "#0d1a0d", height: 3, borderRadius: 1 }}>
+                <div style={{ height: "100%", width: `${entry.scores[d.id] * 10}%`, background: d.color, borderRadius: 1 }} />
+              </div>
+            </div>
+          ))}
+        </div>
+        <div style={{ fontSize: 10, color: "#3a7a3a", marginTop: 10 }}>OVERALL <span style={{ color: "#00c9a7" }}>{entry.overall}/10</span></div>
+      </>}
+      {section("✅ WHAT YOU NAILED", "#22c55e", entry.nailed)}
+      {section("🔧 SHARPEN THIS", "#f59e0b", entry.sharpen)}
+      {entry.takeaway && section("💡 CORE TAKEAWAY", "#0ea5e9", [entry.takeaway])}
+    </div>
+  );
+}
+
+// One line per feedback dimension over successive attempts (1-10 scale)
+function ScoreChart({ points, height = 90 }) {
+  const W = 300, H = height, pad = 8;
+  const x = (i) => points.length === 1 ? W / 2 : pad + (i * (W - pad * 2)) / (points.length - 1);
+  const y = (v) => H - pad - ((v - 1) / 9) * (H - pad * 2);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height, display: "block" }}>
+      {[1, 5, 10].map(v => (
+        <line key={v} x1={pad} x2={W - pad} y1={y(v)} y2={y(v)} stroke="#0d1a0d" strokeWidth="1" />
+      ))}
+      {FEEDBACK_DIMENSIONS.map(d => (
+        <g key={d.id}>
+          <polyline
+            fill="none" stroke={d.color} strokeWidth="1.5" opacity="0.85"
+            points={points.map((p, i) => `${x(i)},${y(p.scores[d.id])}`).join(" ")}
+          />
+          {points.map((p, i) => <circle key={i} cx={x(i)} cy={y(p.scores[d.id])} r="2" fill={d.color} />)}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// GitHub-style calendar: one column per week ending today, Sunday on top
+function ActivityHeatmap({ perDay, today }) {
+  const cell = 11, gap = 2;
+  const start = addDays(today, -((HEATMAP_WEEKS - 1) * 7 + new Date(today).getUTCDay()));
+  const days = Array.from({ length: daysBetween(start, today) + 1 }, (_, i) => addDays(start, i));
+  const level = (n) => ["#0d1a0d", "#0e4a3a", "#00a88a", "#00c9a7"][Math.min(n, 3)];
+  return (
+    <svg viewBox={`0 0 ${HEATMAP_WEEKS * (cell + gap)} ${7 * (cell + gap)}`} style={{ width: "100%", display: "block" }}>
+      {days.map((d, i) => (
+        <rect key={d} x={Math.floor(i / 7) * (cell + gap)} y={(i % 7) * (cell + gap)} width={cell} height={cell} rx="2" fill={level(perDay[d] || 0)}>
+          <title>{d}: {perDay[d] || 0} completed</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+// Full glossary entry. Built from spans so it can sit inside a <p> popover.
+function GlossaryCard({ entry, onOpen }) {
+  const cat = CATEGORIES.find(c => c.id === entry.category);
+  const row = (label, children) => (
+    <span style={{ display: "block", marginTop: 8 }}>
+      <span style={{ display: "block", fontSize: 8, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 3 }}>{label}</span>
+      {children}
+    </span>
+  );
+  return (
+    <span style={{ display: "block", fontSize: 11, lineHeight: 1.65, color: "#8ab88a" }}>
+      <span style={{ display: "flex", justifyContent: "space-between", gap: 8, fontSize: 9, letterSpacing: "0.1em" }}>
+        <span style={{ color: "#00c9a7" }}>{entry.term}</span>
+        <span style={{ color: cat?.color || "#f59e0b" }}>{cat ? `${cat.emoji} ${cat.label}` : "AI · CACHED"}</span>
+      </span>
+      {row("DEFINITION", entry.definition)}
+      {row("FORMULA", <code style={{ color: "#b8d8b8", fontFamily: "inherit" }}>{entry.formula}</code>)}
+      {row("HOW_TO_READ_IT", entry.interpretation)}
+      {row("PITFALLS", entry.pitfalls.map((p, i) => (
+        <span key={i} style={{ display: "flex", gap: 6 }}><span style={{ color: "#f59e0b" }}>!</span>{p}</span>
+      )))}
+      {row("RELATED", entry.related.map((r, i) => (
+        <span key={i} onClick={() => onOpen?.(r)} style={{ color: "#2a8a6a", cursor: onOpen ? "pointer" : "default", marginRight: 10 }}>
+          {r}{onOpen && " ↗"}
+        </span>
+      )))}
+    </span>
+  );
+}
+
+// Metric name with a definition popover — hover on desktop, tap on touch.
+// Unknown metrics get an amber underline and a button to look them up.
+function MetricTerm({ label, entry, onLookup, onOpen, busyTerm }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // Hover is for mice only — a tap toggles instead (emulated mouseenter
+  // would open it just before the tap's click closes it again), and a tap
+  // outside or Escape closes it
+  const hover = (value) => (e) => e.pointerType === "mouse" && setOpen(value);
+  useEffect(() => {
+    if (!open) return;
+    const onPointer = (e) => ref.current?.contains(e.target) || setOpen(false);
+    const onKey = (e) => e.key === "Escape" && setOpen(false);
+    document.addEventListener("pointerdown", onPointer);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("pointerdown", onPointer);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  return (
+    <span ref={ref} style={{ position: "relative" }} onPointerEnter={hover(true)} onPointerLeave={hover(false)}>
+      <span onClick={() => setOpen(o => !o)} style={{ borderBottom: `1px dotted ${entry ? "#00c9a780" : "#f59e0b60"}`, cursor: "help" }}>
+        {label}
+      </span>
+      {open && (
+        <span style={{ position: "absolute", top: "100%", left: 0, zIndex: 50, display: "block", paddingTop: 6, width: 320, maxWidth: "80vw" }}>
+          <span style={{ display: "block", background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 4, padding: "12px 14px", boxShadow: "0 8px 24px #000a" }}>
+            {entry ? <GlossaryCard entry={entry} onOpen={onOpen} /> : (
+              <span style={{ display: "block", fontSize: 10, color: "#4a7a4a", lineHeight: 1.7 }}>
+                "{label}" isn't in the offline glossary.{" "}
+                <span onClick={() => busyTerm || onLookup?.(label)} style={{ color: "#f59e0b", cursor: busyTerm ? "wait" : "pointer" }}>
+                  {busyTerm === label ? "LOOKING_UP..." : "LOOK_UP_WITH_AI →"}
+                </span>
+              </span>
+            )}
+          </span>
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Free text with every known metric mention turned into a MetricTerm
+function MetricText({ text, index, ...termProps }) {
+  return splitMetricMentions(index, text || "").map((part, i) => typeof part === "string"
+    ? part
+    : <MetricTerm key={i} label={part.text} entry={part.entry} {...termProps} />);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // MAIN APP
 // ─────────────────────────────────────────────────────────────────────────────
 export default function OnchainDojo() {
 
   // ── API KEY GATE ──
-  const [apiKey, setApiKey]         = useState(loadApiKey);
+  const [llm, setLlm]               = useState(loadLlmConfig);
+  const [providerInput, setProviderInput] = useState(() => llm.provider || "gemini");
+  const [modelInput, setModelInput]   = useState(() => llm.model);
+  const [baseUrlInput, setBaseUrlInput] = useState(() => llm.baseUrl);
   const [apiKeyInput, setApiKeyInput] = useState("");
   const [apiKeyError, setApiKeyError] = useState("");
   const [testingKey, setTestingKey]  = useState(false);
@@ -349,31 +3555,98 @@ export default function OnchainDojo() {
   // ── CHALLENGE STATE ──
   const [challenge, setChallenge]     = useState(null);
   const [generating, setGenerating]   = useState(false);
-  const [genError, setGenError]       = useState("");
+  const [genError, setGenError]       = useState(null); // { message, kind } — kind from LLM_ERRORS when an API call failed
   const [offsetDays, setOffsetDays]   = useState(0);
+  const [practice, setPractice]       = useState(null); // { catId, diff, focus } while in free practice
+  const [practiceForm, setPracticeForm] = useState(() => loadPref("practiceForm", { catId: CATEGORIES[0].id, diff: "Intermediate", focus: "" }));
+  const [practiceList, setPracticeList] = useState([]);
 
   // ── UI STATE ──
   const [phase, setPhase]             = useState("challenge");
   const [hintsOpen, setHintsOpen]     = useState(false);
+  const [sourcesOpen, setSourcesOpen] = useState(false);
   const [analysis, setAnalysis]       = useState("");
   const [conclusion, setConclusion]   = useState("");
   const [feedback, setFeedback]       = useState(null);
   const [loadingFeedback, setLoadingFeedback] = useState(false);
-  const [thread, setThread]           = useState(null);
+  const [threads, setThreads]         = useState([]); // attempt.threads, every platform
+  const [platform, setPlatform]       = useState(() => POST_FORMATS[loadPref("postFormat", "x")] ? loadPref("postFormat", "x") : "x");
+  const [answerMode, setAnswerMode]   = useState(() => loadPref("answerMode", "open"));
+  const [quizResponse, setQuizResponse] = useState(null);
+  const [quizResult, setQuizResult]   = useState(null);
   const [loadingThread, setLoadingThread]     = useState(false);
+  const [streaming, setStreaming]     = useState(null); // { kind: "feedback" | "thread", text } while a response streams in
+  const [regenIndex, setRegenIndex]   = useState(null); // tweet being regenerated
+  const [card, setCard]               = useState(null); // { blob, url } rendered challenge card
+  const [schedule, setSchedule]       = useState([]);
+  const [scheduleAt, setScheduleAt]   = useState(() => toLocalInputValue(Date.now() + 3600000));
+  const [postUrlDraft, setPostUrlDraft] = useState(null); // { id, url } while marking posted
+  const [online, setOnline]           = useState(() => navigator.onLine !== false);
+  const [outbox, setOutbox]           = useState([]);
   const [copied, setCopied]           = useState(null);
-  const [streak, setStreak]           = useState(0);
-  const [showHistory, setShowHistory] = useState(false);
+  const [streak, setStreak]           = useState({ count: 0, last: "", freezes: 0 });
+  const [streakNotice, setStreakNotice] = useState(null); // freeze spent / earned on the last bump
+  const [reminders, setReminders]     = useState(DEFAULT_REMINDERS);
+  const [dayBoundary, setDayBoundary] = useState(loadDayBoundary);
+  const [panel, setPanel]             = useState(null); // header panel: "history" | "data" | "scores" | "streak" | ...
+  const [scoreSeries, setScoreSeries] = useState({});
+  const [stats, setStats]             = useState(null);
+  const [usage, setUsage]             = useState(null); // meta "usage", loaded when the USAGE panel opens
+  const [budget, setBudget]           = useState(() => ({ ...DEFAULT_BUDGET, ...loadPref("budget", {}) }));
+  const [modelPrices, setModelPrices] = useState(() => loadPref("modelPrices", {})); // per-model price overrides
+  const [promptTemplates, setPromptTemplates] = useState(() => loadPref("promptTemplates", {}));
+  const [promptEdit, setPromptEdit]   = useState({ id: "search", draft: null }); // draft null = showing the active text
+  const [archive, setArchive]         = useState(null); // buildArchive entries, loaded when the panel opens
+  const [archiveFilters, setArchiveFilters] = useState({ query: "", category: "", difficulty: "", status: "" });
+  const [skills, setSkills]           = useState({});
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [revealed, setRevealed]       = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [dueCount, setDueCount]       = useState(0);
+  const [glossaryCache, setGlossaryCache] = useState([]);
+  const [glossaryQuery, setGlossaryQuery] = useState("");
+  const [glossaryOpen, setGlossaryOpen] = useState(null); // expanded entry id
+  const [lookingUp, setLookingUp]     = useState(null);   // term being fetched
+  const [adaptive, setAdaptive]       = useState(() => loadPref("adaptive", { enabled: false, weakestCategory: false }));
   const [history, setHistory]         = useState([]);
+  const [viewAttempt, setViewAttempt] = useState(null);
   const [toast, setToast]             = useState(null);
+  const [budgetAsk, setBudgetAsk]     = useState(null);   // { detail, resolve } while a call waits on the budget prompt
   const toastRef = useRef(null);
+  const budgetAskRef = useRef(null);
+  const attemptRef = useRef(null);
+  const importRef = useRef(null);
+  const promptImportRef = useRef(null);
+  const activeKeyRef = useRef(null); // dateKey the UI is currently showing
+  const replayRef = useRef(null);    // latest replayOutbox, for the online listener
+  const replayingRef = useRef(false); // an outbox replay is running
+  const requestsRef = useRef({});    // kind → AbortController of the in-flight AI request
 
-  // ── LOAD STREAK + HISTORY ──
-  useEffect(() => {
-    setStreak(loadStreak().count);
-    setHistory(loadHistory());
+  const fmt = POST_FORMATS[platform];
+  const thread = latestThread(threads, fmt.id)?.tweets || null;
+  // One JSON repair per streamed chunk, not one per render
+  const feedbackPreview = useMemo(() => streaming?.kind === "feedback" ? previewFeedback(streaming.text) : null, [streaming]);
+
+  // ── IN-FLIGHT AI REQUESTS: one AbortController per kind ("challenge",
+  // "feedback", "thread", "regen"). Starting a request aborts the previous one
+  // of its kind, and resetWorkspace aborts them all, so a day change never
+  // applies a stale result. finishRequest is true while the request is still
+  // the current one of its kind — only then does it own the loading state.
+  const startRequest = useCallback((kind) => {
+    requestsRef.current[kind]?.abort();
+    const controller = new AbortController();
+    requestsRef.current[kind] = controller;
+    return controller.signal;
+  }, []);
+
+  const finishRequest = useCallback((kind, signal) => {
+    if (requestsRef.current[kind]?.signal !== signal) return false;
+    delete requestsRef.current[kind];
+    return true;
   }, []);
 
+  const cancelRequest = (kind) => requestsRef.current[kind]?.abort();
+
   // ── SHOW TOAST ──
   const showToast = useCallback((msg, color = "#00c9a7") => {
     setToast({ msg, color });
@@ -381,124 +3654,821 @@ export default function OnchainDojo() {
     toastRef.current = setTimeout(() => setToast(null), 3500);
   }, []);
 
+  // Backoff notices for the calls the user is waiting on (challenge, feedback, thread)
+  const announceRetry = useCallback(({ error, attempt, delayMs }) => {
+    showToast(`${LLM_ERRORS[error.kind].title} — retry ${attempt}/${LLM_MAX_RETRIES} in ${secondsText(delayMs)}`, "#f59e0b");
+  }, [showToast]);
+
+  // confirmBudget for the calls the user starts: shows the budget bar and
+  // resolves with the answer. A newer prompt or an abort declines the old one.
+  const answerBudget = useCallback((ok) => {
+    budgetAskRef.current?.resolve(ok);
+    budgetAskRef.current = null;
+    setBudgetAsk(null);
+  }, []);
+
+  const askBudget = useCallback((detail, signal) => new Promise((resolve) => {
+    budgetAskRef.current?.resolve(false);
+    const ask = { detail, resolve };
+    budgetAskRef.current = ask;
+    setBudgetAsk(ask);
+    signal?.addEventListener("abort", () => {
+      if (budgetAskRef.current === ask) answerBudget(false);
+    }, { once: true });
+  }), [answerBudget]);
+
+  const reportStorageError = useCallback((e) => {
+    showToast((e.quota ? "💾 " : "Storage error: ") + e.message, "#ef4444");
+  }, [showToast]);
+
+  // ── LOAD STREAK + HISTORY ──
+  useEffect(() => {
+    repo.loadStreak().then(setStreak, reportStorageError);
+    repo.loadReminders().then(setReminders, reportStorageError);
+    repo.listHistory().then(setHistory, reportStorageError);
+    repo.getMeta("skills").then(s => setSkills(s || {}), reportStorageError);
+    repo.countDueCards().then(setDueCount, reportStorageError);
+    repo.listGlossary().then(setGlossaryCache, reportStorageError);
+  }, [reportStorageError]);
+
+  const glossary = useMemo(() => buildGlossaryIndex(glossaryCache), [glossaryCache]);
+
+  // ── SCHEDULE QUEUE: storage is the source of truth (the service worker
+  // may have marked items notified), so every check re-reads it ──
+  const checkSchedule = useCallback(async () => {
+    const items = await repo.listSchedule().catch(reportStorageError);
+    if (!items) return;
+    const now = Date.now();
+    const updated = await Promise.all(items.map(async (item) => {
+      if (!isScheduleDue(item, now)) return item;
+      const next = { ...item, status: "notified", notifiedAt: now };
+      await repo.putScheduled(next).catch(reportStorageError);
+      if (canNotify()) showScheduleNotification(next).catch(() => {});
+      showToast(`⏰ Time to post Day ${item.day} — open the QUEUE`, "#f59e0b");
+      return next;
+    }));
+    setSchedule(updated.sort((a, b) => a.scheduledFor - b.scheduledFor));
+  }, [reportStorageError, showToast]);
+
+  useEffect(() => {
+    registerServiceWorker();
+    checkSchedule();
+    const id = setInterval(checkSchedule, SCHEDULE_POLL_MS);
+    // A notification was clicked — the worker may have updated the queue
+    const onMessage = (e) => { if (e.data?.type === "schedule-opened") checkSchedule(); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      clearInterval(id);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, [checkSchedule]);
+
+  // ── REMINDERS: re-read storage like the queue — the worker may have sent
+  // today's reminder already ──
+  const checkReminders = useCallback(async () => {
+    const [rem, st] = await Promise.all([repo.loadReminders(), repo.loadStreak()]).catch(() => []);
+    if (!rem) return;
+    const today = todayKey();
+    const due = dueReminders(rem, st, today);
+    if (!due.length) return;
+    const next = { ...rem, lastDaily: today, ...(due.includes("risk") && { lastRisk: today }) };
+    await repo.setMeta("reminders", next).catch(reportStorageError);
+    setReminders(next);
+    if (canNotify()) showReminderNotification(due.at(-1), st).catch(() => {});
+  }, [reportStorageError]);
+
+  useEffect(() => {
+    checkReminders();
+    const id = setInterval(checkReminders, REMINDER_POLL_MS);
+    return () => clearInterval(id);
+  }, [checkReminders]);
+
+  const updateReminders = async (patch) => {
+    if (patch.enabled && typeof Notification !== "undefined" && Notification.permission === "default") {
+      await Notification.requestPermission().catch(() => {});
+    }
+    const next = { ...reminders, ...patch };
+    setReminders(next);
+    await repo.setMeta("reminders", next).catch(reportStorageError);
+    if (patch.enabled && !canNotify()) showToast("Notifications are blocked — reminders will only show in the header.", "#f59e0b");
+  };
+
+  // ── STREAK: bump for today; freezes are spent or earned in the repo ──
+  const bumpStreak = useCallback(async () => {
+    const res = await repo.bumpStreak().catch(reportStorageError);
+    if (!res) return null;
+    setStreak(res.streak);
+    const n = res.usedFreezes;
+    if (n) setStreakNotice(`🧊 ${n} streak freeze${n > 1 ? "s" : ""} covered the missed day${n > 1 ? "s" : ""} — streak kept at ${res.streak.count}.`);
+    else if (res.earnedFreeze) setStreakNotice(`🧊 ${res.streak.count} days in a row — streak freeze earned (${res.streak.freezes}/${STREAK_MAX_FREEZES}).`);
+    return res.streak;
+  }, [reportStorageError]);
+
+  const addReviewCards = useCallback(async (cards) => {
+    if (!cards.length) return;
+    await repo.addCards(cards).catch(reportStorageError);
+    repo.countDueCards().then(setDueCount, reportStorageError);
+  }, [reportStorageError]);
+
+  // ── ATTEMPT: restore what was written for a challenge ──
+  const restoreAttempt = useCallback(async (ch) => {
+    const a = (await repo.getAttempt(ch.dateKey).catch(() => null)) || newAttempt(ch);
+    if (activeKeyRef.current !== ch.dateKey) return;
+    attemptRef.current = a;
+    setAnalysis(a.analysis);
+    setConclusion(a.conclusion);
+    setFeedback(a.feedback.at(-1) || null);
+    setThreads(a.threads);
+    const lastAnswer = (a.answers || []).at(-1);
+    setQuizResponse(lastAnswer ? lastAnswer.response
+      : ch.answerType === "ordering" ? shuffledItems(ch)
+      : ch.answerType === "numeric" ? "" : null);
+    setQuizResult(lastAnswer ? gradeAnswer(ch, lastAnswer.response) : null);
+  }, []);
+
+  // ── ATTEMPT: merge + persist. patch may be a function of the attempt.
+  // Pass dateKey when the write belongs to a challenge the user may have
+  // navigated away from (async AI results) — it then goes to storage only.
+  const updateAttempt = useCallback(async (patch, dateKey = attemptRef.current?.dateKey) => {
+    const live = attemptRef.current?.dateKey === dateKey;
+    const cur  = live ? attemptRef.current : await repo.getAttempt(dateKey).catch(() => null);
+    if (!cur) return;
+    const next = { ...cur, ...(typeof patch === "function" ? patch(cur) : patch), updatedAt: Date.now() };
+    if (live) attemptRef.current = next;
+    await repo.putAttempt(next).catch(reportStorageError);
+  }, [reportStorageError]);
+
+  const editAnalysis = (v) => { setAnalysis(v); updateAttempt({ analysis: v }); };
+  const editConclusion = (v) => { setConclusion(v); updateAttempt({ conclusion: v }); };
+
   // ── LOAD / GENERATE CHALLENGE ──
-  const loadOrGenerateChallenge = useCallback(async (offset, key, forceNew = false) => {
-    const { cat, diff, day } = getTodayMeta(offset);
-    const dateKey = offset === 0 ? todayKey() : `offset_${getDayNumber() + offset}`;
+  const loadOrGenerateChallenge = useCallback(async (offset, cfg, forceNew = false) => {
+    setPractice(null);
+    const signal = startRequest("challenge");
+    const adaptivePref = loadPref("adaptive", null);
+    const skillMap = adaptivePref?.enabled ? (await repo.getMeta("skills").catch(() => null)) || {} : {};
+    const { cat, diff, day, adaptive: adapted } = planChallengeMeta(offset, adaptivePref, skillMap);
+    const dateKey = addDays(todayKey(), offset);
+    activeKeyRef.current = dateKey;
 
     // Use cache unless forceNew — regenerate clears cache first
     if (!forceNew) {
-      const cached = loadChallenge(dateKey);
+      const cached = await repo.getChallenge(dateKey).catch(reportStorageError);
+      if (activeKeyRef.current !== dateKey) return;
       if (cached) {
-        setChallenge({ ...cached, cat, diff, day });
+        // A cached challenge keeps the category/difficulty it was generated with
+        const full = settleAnswerType({ cat, diff, ...cached, day, dateKey });
+        setChallenge(full);
+        restoreAttempt(full);
+        // ...and takes over from a generation it superseded
+        if (finishRequest("challenge", signal)) setGenerating(false);
         return;
       }
     } else {
+      // Keep the cached one when a new one can't be fetched anyway
+      if (isOffline(cfg)) {
+        showToast("You're offline — regenerating needs a connection.", "#f59e0b");
+        return;
+      }
+      // Results still on their way belong to the old challenge
+      ["feedback", "thread", "regen"].forEach(kind => requestsRef.current[kind]?.abort());
       // Clear old cached challenge so a fresh one is saved
-      try { localStorage.removeItem(`od_challenge_${dateKey}`); } catch {}
+      await repo.deleteChallenge(dateKey).catch(reportStorageError);
     }
 
     setGenerating(true);
-    setGenError("");
+    setGenError(null);
     setChallenge(null);
 
     try {
       // Use Google Search grounding so Gemini finds REAL recent onchain events
-      const raw = await callGemini(key, buildSearchPrompt(cat, diff, day), "", true);
-      // Robust extraction — handles truncated/malformed JSON from Gemini
-      const parsed = extractJSON(raw);
-      if (!parsed.title || !parsed.problem) {
-        throw new Error("Gemini returned incomplete data. Tap Regenerate to try again.");
-      }
-      const full = { ...parsed, category: cat.label, cat, diff, day, dateKey };
-      saveChallenge(dateKey, full);
+      // Robust extraction + schema validation, re-prompting with the errors
+      const answerType = resolveAnswerType(loadPref("answerMode", "open"), day);
+      const prompts = promptVersions("search", "searchQuery");
+      const { data, validation, grounding } = await generateValidatedChallenge(
+        cfg, buildSearchPrompt(cat, diff, day, answerType), challengeSchema(answerType), { signal, onRetry: announceRetry, confirmBudget: askBudget },
+      );
+      const full = settleAnswerType({ ...data, validation, grounding, prompts, category: cat.label, cat, diff, day, dateKey, ...(adapted && { adaptive: true }) }, answerType);
+      await repo.putChallenge(full).catch(reportStorageError);
+      // The old analysis, feedback and answers were for the old challenge
+      if (forceNew) await repo.archiveAttempt(full).catch(reportStorageError);
+      if (activeKeyRef.current !== dateKey) return;
       setChallenge(full);
+      restoreAttempt(full);
       if (forceNew) showToast("✨ New challenge generated!");
     } catch (e) {
-      setGenError(e.message || "Failed to generate challenge. Check your API key.");
+      if (activeKeyRef.current === dateKey && !isAbortError(e)) {
+        setGenError(isOffline(cfg)
+          ? { message: "You're offline and this day's challenge isn't cached yet. Cached days and your history still work — come back once you're online." }
+          : { message: e.message || "Failed to generate challenge. Check your API key.", kind: e.kind });
+      }
     } finally {
-      setGenerating(false);
+      if (finishRequest("challenge", signal)) setGenerating(false);
     }
-  }, [showToast]);
+  }, [showToast, announceRetry, askBudget, reportStorageError, restoreAttempt, startRequest, finishRequest]);
 
-  // ── WHEN API KEY SET, LOAD CHALLENGE ──
+  // ── WHEN PROVIDER CONNECTED, LOAD CHALLENGE ──
   useEffect(() => {
-    if (apiKey) loadOrGenerateChallenge(offsetDays, apiKey);
-  }, [apiKey, offsetDays, loadOrGenerateChallenge]);
+    if (llmReady(llm)) loadOrGenerateChallenge(offsetDays, llm);
+  }, [llm, offsetDays, loadOrGenerateChallenge]);
+
+  // ── PICK PROVIDER (resets model + base URL to that provider's defaults) ──
+  const selectProvider = (id) => {
+    setProviderInput(id);
+    setModelInput(PROVIDERS[id].defaultModel);
+    setBaseUrlInput(PROVIDERS[id].defaultBaseUrl);
+    setApiKeyError("");
+  };
 
-  // ── TEST + SAVE API KEY ──
+  // ── TEST + SAVE PROVIDER ──
   const handleSaveKey = async () => {
+    const provider = PROVIDERS[providerInput];
     const k = apiKeyInput.trim();
-    if (!k.startsWith("AI")) {
+    if (provider.needsKey && !k) return;
+    if (provider.id === "gemini" && !k.startsWith("AI")) {
       setApiKeyError("Key should start with 'AI...' — check your Gemini API key.");
       return;
     }
+    const cfg = {
+      provider: provider.id,
+      model:    modelInput.trim() || provider.defaultModel,
+      baseUrl:  (baseUrlInput.trim() || provider.defaultBaseUrl).replace(/\/+$/, ""),
+      key:      k,
+    };
     setTestingKey(true);
     setApiKeyError("");
     try {
-      await callGemini(k, "Reply with only the word: OK");
-      saveApiKey(k);
-      setApiKey(k);
+      await callLLM(cfg, "Reply with only the word: OK", "", false, { feature: "keytest" });
+      saveLlmConfig(cfg);
+      setLlm(cfg);
     } catch (e) {
-      setApiKeyError("Key test failed: " + (e.message || "Invalid key"));
+      setApiKeyError("Connection test failed: " + (e.message || "Invalid key"));
     } finally {
       setTestingKey(false);
     }
   };
 
+  // ── DISCONNECT ──
+  const disconnect = () => {
+    clearLlmConfig();
+    setLlm(loadLlmConfig());
+  };
+
   // ── CHANGE DAY ──
-  const changeDay = (dir) => {
-    const next = offsetDays + dir;
+  const changeDay = (dir) => goToDay(offsetDays + dir);
+
+  // Leaving free practice for the day already showing needs an explicit load
+  const goToDay = (next) => {
+    resetWorkspace();
     setOffsetDays(next);
+    if (practice && next === offsetDays && llmReady(llm)) loadOrGenerateChallenge(next, llm);
+  };
+
+  const resetWorkspace = () => {
+    Object.values(requestsRef.current).forEach(c => c.abort());
+    setStreaming(null);
+    attemptRef.current = null;
+    activeKeyRef.current = null;
     setPhase("challenge");
     setAnalysis("");
     setConclusion("");
     setFeedback(null);
-    setThread(null);
+    setThreads([]);
+    closeCard();
     setHintsOpen(false);
+    setSourcesOpen(false);
+  };
+
+  // ── FREE PRACTICE: any category/difficulty/focus, generated on demand.
+  // Each one gets a fresh practice-<ms> key; completing it skips the streak
+  // and history ──
+  const generatePractice = async (spec) => {
+    const cat = CATEGORIES.find(c => c.id === spec.catId) || CATEGORIES[0];
+    const dateKey = `${PRACTICE_PREFIX}${Date.now()}`;
+    resetWorkspace();
+    setPanel(null);
+    setPractice(spec);
+    activeKeyRef.current = dateKey;
+    setChallenge(null);
+    const signal = startRequest("challenge");
+    if (isOffline(llm)) {
+      setGenError({ message: "You're offline — practice challenges need a connection. Cached daily challenges still work." });
+      return;
+    }
+    setGenerating(true);
+    setGenError(null);
+    try {
+      const day = getDayNumber();
+      const answerType = resolveAnswerType(loadPref("answerMode", "open"), day);
+      const prompts = promptVersions("search", "searchQuery");
+      const { data, validation, grounding } = await generateValidatedChallenge(
+        llm, buildSearchPrompt(cat, spec.diff, day, answerType, spec.focus), challengeSchema(answerType), { signal, onRetry: announceRetry, confirmBudget: askBudget },
+      );
+      const full = settleAnswerType({ ...data, validation, grounding, prompts, category: cat.label, cat, diff: spec.diff, day, dateKey, practice: spec, createdAt: Date.now() }, answerType);
+      await repo.putChallenge(full).catch(reportStorageError);
+      if (activeKeyRef.current !== dateKey) return;
+      setChallenge(full);
+      restoreAttempt(full);
+    } catch (e) {
+      if (activeKeyRef.current === dateKey && !isAbortError(e)) setGenError({ message: e.message || "Failed to generate a practice challenge.", kind: e.kind });
+    } finally {
+      if (finishRequest("challenge", signal)) setGenerating(false);
+    }
+  };
+
+  const startPractice = () => {
+    savePref("practiceForm", practiceForm);
+    generatePractice({ ...practiceForm, focus: practiceForm.focus.trim() });
+  };
+
+  const openPractice = (ch) => {
+    resetWorkspace();
+    setPanel(null);
+    setPractice(ch.practice);
+    setGenError(null);
+    activeKeyRef.current = ch.dateKey;
+    const full = settleAnswerType(ch);
+    setChallenge(full);
+    restoreAttempt(full);
+  };
+
+  useEffect(() => {
+    if (panel !== "practice") return;
+    repo.listPractice().then(setPracticeList, reportStorageError);
+  }, [panel, reportStorageError]);
+
+  // ── SKILL PROFILE: feed a 0..1 performance into the category rating ──
+  const recordSkill = useCallback(async (ch, performance) => {
+    const catId = ch.cat?.id || CATEGORIES.find(c => c.label === ch.category)?.id;
+    if (!catId) return;
+    const next = await repo.updateSkill(catId, ch.diff, performance).catch(reportStorageError);
+    if (next) setSkills(next);
+  }, [reportStorageError]);
+
+  const updateAdaptive = (patch) => {
+    const next = { ...adaptive, ...patch };
+    setAdaptive(next);
+    savePref("adaptive", next);
   };
 
   // ── GET FEEDBACK ──
+  // ── OUTBOX: requests made offline wait here until we're back online ──
+  const queueOffline = useCallback(async (kind, job) => {
+    const item = newOutboxItem(kind, job);
+    await repo.putOutbox(item).catch(reportStorageError);
+    setOutbox(list => [...list, item]);
+    showToast(`📡 Offline — ${kind} request queued, it runs when you're back online`, "#f59e0b");
+  }, [reportStorageError, showToast]);
+
+  // job = { challenge, analysis, conclusion } — explicit so the outbox can replay it
+  // opts = { signal, onText } for callLLM — the outbox replays without them
+  const runFeedback = useCallback(async ({ challenge: ch, analysis: an, conclusion: co }, opts = {}) => {
+    const prompts = promptVersions("feedback");
+    const raw = await callLLM(llm, buildFeedbackPrompt(ch, an, co), "", false, { ...opts, feature: "feedback", template: "feedback" });
+    const entry = { ...parseFeedback(raw), at: Date.now(), prompts };
+    // Only the first scored feedback rates the skill, like a quiz's first try —
+    // re-submitting a polished analysis mustn't farm the rating
+    let firstScored = false;
+    await updateAttempt(a => {
+      firstScored = !!entry.scores && !a.feedback.some(f => f.scores);
+      return { feedback: [...a.feedback, entry] };
+    }, ch.dateKey);
+    if (attemptRef.current?.dateKey === ch.dateKey) setFeedback(entry);
+    if (firstScored) recordSkill(ch, (entry.overall - 1) / 9);
+    addReviewCards(cardsFromFeedback(ch, entry));
+  }, [llm, updateAttempt, recordSkill, addReviewCards]);
+
   const getFeedback = useCallback(async () => {
     if (!analysis.trim() || !conclusion.trim() || !challenge) return;
+    const job = { challenge, analysis, conclusion };
+    if (isOffline(llm)) return queueOffline("feedback", job);
+    const signal = startRequest("feedback");
     setLoadingFeedback(true);
     try {
-      const text = await callGemini(apiKey, buildFeedbackPrompt(challenge, analysis, conclusion));
-      setFeedback(text);
+      await runFeedback(job, { signal, onRetry: announceRetry, confirmBudget: askBudget, onText: (text) => setStreaming({ kind: "feedback", text }) });
     } catch (e) {
-      showToast("Feedback failed: " + e.message, "#ef4444");
+      if (isAbortError(e)) return;
+      if (isNetworkError(e)) queueOffline("feedback", job);
+      else showToast("Feedback failed: " + e.message, "#ef4444");
     } finally {
-      setLoadingFeedback(false);
+      if (finishRequest("feedback", signal)) {
+        setLoadingFeedback(false);
+        setStreaming(null);
+      }
+    }
+  }, [llm, analysis, conclusion, challenge, showToast, announceRetry, askBudget, runFeedback, queueOffline, startRequest, finishRequest]);
+
+  // ── COMPLETE: bump streak + save history (full attempt lives under its dateKey).
+  // Free practice only adds review cards and resolves to null.
+  const completeChallenge = useCallback(async (ch) => {
+    if (ch.practice) {
+      addReviewCards(cardsFromChallenge(ch, glossary));
+      return null;
+    }
+    const newStreak = await bumpStreak();
+    const entry = {
+      date: todayKey(), dateKey: ch.dateKey, day: ch.day,
+      title: ch.title, category: ch.category,
+      difficulty: ch.diff,
+    };
+    await repo.pushHistory(entry).catch(reportStorageError);
+    repo.listHistory().then(setHistory, reportStorageError);
+    addReviewCards(cardsFromChallenge(ch, glossary));
+    return newStreak?.count ?? 0;
+  }, [reportStorageError, addReviewCards, bumpStreak, glossary]);
+
+  // ── REVIEW: load due cards when the tab opens ──
+  useEffect(() => {
+    if (phase !== "review") return;
+    repo.listDueCards().then((cards) => {
+      setReviewQueue(cards);
+      setRevealed(false);
+      setReviewedCount(0);
+    }, reportStorageError);
+  }, [phase, reportStorageError]);
+
+  // AGAIN puts the card back at the end of this session once; finishing a
+  // session with at least one card counts toward the streak
+  const gradeCard = async (quality) => {
+    const [card, ...rest] = reviewQueue;
+    if (!card) return;
+    const { _requeued, ...scheduled } = scheduleCard(card, quality);
+    await repo.putCard(scheduled).catch(reportStorageError);
+    const queue = quality < 3 && !card._requeued ? [...rest, { ...scheduled, _requeued: true }] : rest;
+    setReviewQueue(queue);
+    setRevealed(false);
+    setReviewedCount(n => n + 1);
+    repo.countDueCards().then(setDueCount, reportStorageError);
+    if (!queue.length) {
+      const newStreak = await bumpStreak();
+      showToast(`🧠 Review done — streak: ${newStreak?.count ?? streak.count} day${newStreak?.count !== 1 ? "s" : ""}`, "#0ea5e9");
     }
-  }, [apiKey, analysis, conclusion, challenge, showToast]);
+  };
+
+  // ── GENERATE THREAD / POST for the selected platform ──
+  // job = { challenge, analysis, conclusion, platform }; opts as for runFeedback
+  const runThread = useCallback(async ({ challenge: ch, analysis: an, conclusion: co, platform: platformId }, opts = {}) => {
+    const f = POST_FORMATS[platformId] || POST_FORMATS.x;
+    const weekStart = addDays(todayKey(), -6);
+    const week = history.filter(h => h.dateKey !== ch.dateKey && h.date >= weekStart);
+    const prompts = promptVersions(f.template);
+    const raw = await callLLM(llm, f.prompt({ challenge: ch, analysis: an, conclusion: co, day: ch.day, week }), "", false, { ...opts, feature: "thread", template: f.template });
+    const tweets = f.kind === "thread"
+      ? raw.split(POST_SEPARATOR).flatMap(t => splitTweet(t, f.max, f.count))
+      : [raw.trim()];
+    const entry = { tweets, at: Date.now(), platform: f.id, prompts };
+    await updateAttempt(a => ({ threads: [...a.threads, entry] }), ch.dateKey);
+    if (attemptRef.current?.dateKey === ch.dateKey) setThreads(ts => [...ts, entry]);
+  }, [llm, history, updateAttempt]);
 
-  // ── GENERATE THREAD ──
+  // Offline, the challenge still counts as done — only the writing waits
   const generateThread = useCallback(async () => {
     if (!analysis.trim() || !conclusion.trim() || !challenge) return;
+    const job = { challenge, analysis, conclusion, platform: fmt.id };
+    if (isOffline(llm)) {
+      await queueOffline("thread", job);
+      await completeChallenge(challenge);
+      return;
+    }
+    const signal = startRequest("thread");
     setLoadingThread(true);
-    try {
-      const raw = await callGemini(apiKey, buildThreadPrompt(challenge, analysis, conclusion, challenge.day));
-      const tweets = raw.split("---TWEET---").map(t => t.trim()).filter(Boolean);
-      setThread(tweets);
+    // Posts stream in on the tweet tab — moved there with the first text, and
+    // back to where we came from if the call fails before leaving any posts
+    const fromPhase = phase;
+    const onChallenge = () => attemptRef.current?.dateKey === challenge.dateKey;
+    let shown = false;
+    const show = () => {
+      if (shown || !onChallenge()) return;
+      shown = true;
       setPhase("tweet");
+    };
+    let failed = true;
+    try {
+      await runThread(job, {
+        signal, onRetry: announceRetry, confirmBudget: askBudget,
+        onText: (text) => { setStreaming({ kind: "thread", text }); show(); },
+      });
+      failed = false;
+      show();
+      const count = await completeChallenge(challenge);
+      showToast(`🔥 ${fmt.label} ready! ${streakLabel(count)}`, "#f59e0b");
+    } catch (e) {
+      if (isAbortError(e)) return;
+      if (isNetworkError(e)) {
+        await queueOffline("thread", job);
+        await completeChallenge(challenge);
+      } else {
+        showToast(`${fmt.label} generation failed: ` + e.message, "#ef4444");
+      }
+    } finally {
+      if (finishRequest("thread", signal)) {
+        setLoadingThread(false);
+        setStreaming(null);
+        if (failed && shown && onChallenge() && !latestThread(attemptRef.current.threads, fmt.id)) setPhase(fromPhase);
+      }
+    }
+  }, [llm, fmt, phase, analysis, conclusion, challenge, showToast, announceRetry, askBudget, runThread, completeChallenge, queueOffline, startRequest, finishRequest]);
 
-      // Bump streak + save history
-      const newStreak = bumpStreak();
-      setStreak(newStreak);
-      const entry = {
-        date: todayKey(), day: challenge.day,
-        title: challenge.title, category: challenge.category,
-        difficulty: challenge.diff, analysis: analysis.slice(0, 120),
-      };
-      pushHistory(entry);
-      setHistory(loadHistory());
-      showToast(`🔥 Thread ready! Streak: ${newStreak} day${newStreak !== 1 ? "s" : ""}`, "#f59e0b");
+  // Oldest first; stops at the first network failure and keeps the rest.
+  // Replays never prompt: a call over a budget cap stops it the same way,
+  // leaving the item queued for the next replay.
+  // The mount check and the online event can both fire — only one replay
+  // runs at a time, so no queued item is sent twice.
+  const replayOutbox = useCallback(async () => {
+    if (replayingRef.current) return;
+    replayingRef.current = true;
+    try {
+      const items = (await repo.listOutbox().catch(reportStorageError)) || [];
+      let done = 0;
+      for (const item of items.sort((a, b) => a.createdAt - b.createdAt)) {
+        try {
+          await (item.kind === "feedback" ? runFeedback(item) : runThread(item));
+          done++;
+        } catch (e) {
+          if (isNetworkError(e)) break;
+          if (e.kind === "budget") {
+            showToast(`📡 Queued requests kept — ${e.message}`, "#f59e0b");
+            break;
+          }
+          showToast(`Queued ${item.kind} for Day ${item.challenge.day} failed: ${e.message}`, "#ef4444");
+        }
+        await repo.deleteOutbox(item.id).catch(reportStorageError);
+        setOutbox(list => list.filter(it => it.id !== item.id));
+      }
+      if (done) showToast(`📡 Back online — ran ${done} queued request${done !== 1 ? "s" : ""}`);
+    } finally {
+      replayingRef.current = false;
+    }
+  }, [runFeedback, runThread, showToast, reportStorageError]);
+
+  useEffect(() => {
+    replayRef.current = replayOutbox;
+  }, [replayOutbox]);
+
+  // ── ONLINE / OFFLINE ──
+  useEffect(() => {
+    const goOnline  = () => { setOnline(true); replayRef.current?.(); };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    repo.listOutbox().then((items) => {
+      setOutbox(items);
+      if (items.length && navigator.onLine) replayRef.current?.();
+    }, reportStorageError);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [reportStorageError]);
+
+  // ── THREAD EDITOR: every edit rewrites the platform's latest thread on the attempt ──
+  const editThread = useCallback((fn, dateKey = attemptRef.current?.dateKey, platformId = fmt.id) => {
+    updateAttempt(a => ({ threads: editLatestThread(a.threads, platformId, fn) }), dateKey);
+    if (attemptRef.current?.dateKey === dateKey) setThreads(ts => editLatestThread(ts, platformId, fn));
+  }, [updateAttempt, fmt]);
+
+  const editTweet   = (i, text) => editThread(ts => ts.map((t, j) => j === i ? text : t));
+  const deleteTweet = (i) => editThread(ts => ts.filter((_, j) => j !== i));
+  const addTweet    = (i) => editThread(ts => [...ts.slice(0, i + 1), "", ...ts.slice(i + 1)]);
+  const moveTweet   = (i, dir) => editThread(ts => {
+    const next = [...ts];
+    [next[i], next[i + dir]] = [next[i + dir], next[i]];
+    return next;
+  });
+
+  // On blur: break an overlong post into as many as it needs (threads only)
+  const splitOverlong = (i) => {
+    if (fmt.kind !== "thread" || fmt.count(thread[i]) <= fmt.max) return;
+    const parts = splitTweet(thread[i], fmt.max, fmt.count);
+    editThread(ts => [...ts.slice(0, i), ...parts, ...ts.slice(i + 1)]);
+    showToast(`✂ Post ${i + 1} was over ${fmt.max} — split into ${parts.length}`, "#f59e0b");
+  };
+
+  const regenerateTweet = async (i) => {
+    const dateKey = challenge.dateKey;
+    const platformId = fmt.id;
+    const signal = startRequest("regen");
+    setRegenIndex(i);
+    try {
+      const raw = await callLLM(llm, buildTweetRegenPrompt(challenge, thread, i, fmt), "", false, { signal, confirmBudget: askBudget, feature: "thread" });
+      const parts = splitTweet(raw.trim().replace(/^\[\d+\]\s*/, "").replace(/^"([\s\S]*)"$/, "$1"), fmt.max, fmt.count);
+      if (!parts.length) throw new Error("the model returned an empty post");
+      editThread(ts => [...ts.slice(0, i), ...parts, ...ts.slice(i + 1)], dateKey, platformId);
+    } catch (e) {
+      if (!isAbortError(e)) showToast("Tweet regeneration failed: " + e.message, "#ef4444");
+    } finally {
+      if (finishRequest("regen", signal)) setRegenIndex(null);
+    }
+  };
+
+  // ── QUIZ: grade locally, no API call ──
+  const submitAnswer = async () => {
+    if (!challenge || quizResponse === null || quizResponse === "") return;
+    const result = gradeAnswer(challenge, quizResponse);
+    const firstTry = !(attemptRef.current?.answers || []).length;
+    setQuizResult(result);
+    await updateAttempt(a => ({
+      answers: [...(a.answers || []), { response: quizResponse, correct: result.correct, score: result.score, at: Date.now() }],
+    }), challenge.dateKey);
+    if (firstTry) {
+      recordSkill(challenge, result.score);
+      const count = await completeChallenge(challenge);
+      showToast(`${result.correct ? "✅ Correct" : "📘 Graded"} — ${streakLabel(count)}`, result.correct ? "#00c9a7" : "#f59e0b");
+    }
+  };
+
+  const pickAnswerMode = (mode) => {
+    setAnswerMode(mode);
+    savePref("answerMode", mode);
+  };
+
+  // ── OPEN A PAST ATTEMPT FROM HISTORY ──
+  const openAttempt = async (h) => {
+    const dateKey = h.dateKey || h.date;
+    try {
+      const [attempt, ch] = await Promise.all([repo.getAttempt(dateKey), repo.getChallenge(dateKey)]);
+      if (!attempt) {
+        showToast("No saved attempt for this entry — it predates full attempt records.", "#f59e0b");
+        return;
+      }
+      setViewAttempt({ attempt, challenge: ch });
+    } catch (e) { reportStorageError(e); }
+  };
+
+  // ── HEADER PANELS ──
+  const togglePanel = (name) => setPanel(p => p === name ? null : name);
+
+  // ── DAY BOUNDARY: "today" may move, so jump back to it and reload ──
+  const updateDayBoundary = (patch) => {
+    const next = { ...dayBoundary, ...patch };
+    if (!isValidTimeZone(next.timeZone)) {
+      showToast("Unknown time zone — use an IANA name like Europe/Berlin.", "#ef4444");
+      return;
+    }
+    savePref("dayBoundary", next);
+    setDayBoundary(next);
+    repo.setMeta("dayBoundary", next).catch(reportStorageError);
+    if (offsetDays !== 0) setOffsetDays(0);
+    else if (llmReady(llm)) loadOrGenerateChallenge(0, llm);
+    checkReminders();
+  };
+
+  // ── GLOSSARY ──
+  const openGlossary = (term) => {
+    const entry = lookupTerm(glossary, term);
+    setGlossaryQuery(entry ? entry.term : term);
+    setGlossaryOpen(entry?.id ?? null);
+    setPanel("glossary");
+  };
+
+  const lookUpMetric = async (term) => {
+    setLookingUp(term);
+    try {
+      const entry = await fetchGlossaryEntry(llm, term, { confirmBudget: askBudget });
+      setGlossaryCache(prev => [...prev.filter(e => e.id !== entry.id), entry]);
+      await repo.putGlossaryEntry(entry).catch(reportStorageError);
+      showToast(`📖 ${entry.term} added to the glossary`);
+    } catch (e) {
+      showToast(e.message, "#ef4444");
+    }
+    setLookingUp(null);
+  };
+
+  const forgetGlossaryEntry = async (id) => {
+    setGlossaryCache(prev => prev.filter(e => e.id !== id));
+    await repo.deleteGlossaryEntry(id).catch(reportStorageError);
+  };
+
+  const termProps = { index: glossary, onLookup: lookUpMetric, onOpen: openGlossary, busyTerm: lookingUp };
+
+  // Score charts are computed from stored attempts each time the panel opens
+  useEffect(() => {
+    if (panel !== "scores") return;
+    repo.listAttempts().then(a => setScoreSeries(scoreSeriesByCategory(a)), reportStorageError);
+  }, [panel, reportStorageError]);
+
+  // Same for the stats dashboard — all local, so it works offline
+  useEffect(() => {
+    if (panel !== "stats") return;
+    Promise.all([repo.listHistory(), repo.listAttempts(), repo.listChallenges()])
+      .then(([h, attempts, challenges]) => setStats(computeStats({ history: h, attempts, challenges })), reportStorageError);
+  }, [panel, reportStorageError]);
+
+  useEffect(() => {
+    if (panel !== "usage") return;
+    repo.getMeta("usage").then(u => setUsage(u || {}), reportStorageError);
+  }, [panel, reportStorageError]);
+
+  const updateBudget = (patch) => {
+    const next = { ...budget, ...patch };
+    setBudget(next);
+    savePref("budget", next);
+  };
+
+  // price = null drops the override and goes back to MODEL_PRICES
+  const updateModelPrice = (model, price) => {
+    const next = { ...modelPrices };
+    if (price) next[model] = price;
+    else delete next[model];
+    setModelPrices(next);
+    savePref("modelPrices", next);
+  };
+
+  // ── PROMPT TEMPLATES ── builders read the pref directly, so a saved
+  // version applies from the next generation
+  const savePromptTemplates = (next) => {
+    setPromptTemplates(next);
+    savePref("promptTemplates", next);
+  };
+
+  const savePromptDraft = () => {
+    const { id, draft } = promptEdit;
+    if (draft === null || draft === activeTemplate(id, promptTemplates).text) return;
+    const next = addPromptVersion(promptTemplates, id, draft);
+    savePromptTemplates(next);
+    setPromptEdit({ id, draft: null });
+    showToast(`${PROMPT_TEMPLATES[id].label} v${next[id].active} saved — used from the next generation`);
+  };
+
+  // version 0 = back to the built-in text
+  const activatePromptVersion = (id, version) => {
+    savePromptTemplates(setActivePrompt(promptTemplates, id, version));
+    setPromptEdit({ id, draft: null });
+  };
+
+  const exportPrompts = () => {
+    downloadFile(`onchain-dojo-prompts-${todayKey()}.json`, JSON.stringify(buildPromptExport(promptTemplates), null, 2), "application/json");
+  };
+
+  const importPrompts = async (file) => {
+    if (!file) return;
+    try {
+      let data;
+      try { data = JSON.parse(await file.text()); } catch { throw new Error("File is not valid JSON."); }
+      const { saved, changed } = importPromptSet(promptTemplates, data);
+      savePromptTemplates(saved);
+      setPromptEdit(e => ({ ...e, draft: null }));
+      showToast(changed.length
+        ? `Imported ${changed.map(id => PROMPT_TEMPLATES[id].label).join(", ")}`
+        : "That prompt set is already in use — nothing changed");
+    } catch (e) {
+      showToast("Import failed: " + e.message, "#ef4444");
+    } finally {
+      if (promptImportRef.current) promptImportRef.current.value = "";
+    }
+  };
+
+  useEffect(() => {
+    if (panel !== "archive") return;
+    Promise.all([repo.listChallenges(), repo.listHistory(), repo.listAttempts()])
+      .then(([challenges, h, attempts]) => setArchive(buildArchive(challenges, h, attempts)), reportStorageError);
+  }, [panel, reportStorageError]);
+
+  const openArchived = (c) => {
+    setPanel(null);
+    const offset = daysBetween(todayKey(), c.dateKey);
+    if (offset !== offsetDays) goToDay(offset);
+  };
+
+  // ── BACKUP / JOURNAL ──
+  const exportBackup = async () => {
+    try {
+      const data = await buildBackup(llm);
+      downloadFile(`onchain-dojo-backup-${todayKey()}.json`, JSON.stringify(data, null, 2), "application/json");
+      showToast(`Backup exported — ${data.attempts.length} attempts, ${data.challenges.length} challenges, ${data.practice.length} practice`);
+    } catch (e) { reportStorageError(e); }
+  };
+
+  const exportJournal = async () => {
+    try {
+      const [challenges, attempts] = await Promise.all([repo.listChallenges(), repo.listAttempts()]);
+      downloadFile(`onchain-dojo-journal-${todayKey()}.md`, buildJournalMarkdown(challenges, attempts), "text/markdown");
+      showToast(`Journal exported — ${attempts.length} day${attempts.length !== 1 ? "s" : ""}`);
+    } catch (e) { reportStorageError(e); }
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      let data;
+      try { data = JSON.parse(await file.text()); } catch { throw new Error("File is not valid JSON."); }
+      const res = await importBackup(data, llm);
+      // Only adopt model/base URL for the provider we're already connected to
+      if (res.settings?.provider === llm.provider && res.settings.model) {
+        const cfg = { ...llm, model: res.settings.model, baseUrl: res.settings.baseUrl || llm.baseUrl };
+        saveLlmConfig(cfg);
+        setLlm(cfg);
+      }
+      setHistory(await repo.listHistory());
+      setStreak(await repo.loadStreak());
+      loadOrGenerateChallenge(offsetDays, llm);
+      showToast(`Imported ${res.attempts} attempts, ${res.challenges} challenges, ${res.practice} practice`);
     } catch (e) {
-      showToast("Thread generation failed: " + e.message, "#ef4444");
+      showToast("Import failed: " + e.message, "#ef4444");
     } finally {
-      setLoadingThread(false);
+      if (importRef.current) importRef.current.value = "";
     }
-  }, [apiKey, analysis, conclusion, challenge, showToast]);
+  };
 
   const copyTweet = (text, idx) => {
     navigator.clipboard.writeText(text);
@@ -512,12 +4482,98 @@ export default function OnchainDojo() {
     showToast("All tweets copied to clipboard!");
   };
 
-  const openTwitter = (text) => {
-    window.open(`https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}`, "_blank");
+  const sharePost = (text) => {
+    window.open(fmt.intent(text), "_blank");
+  };
+
+  const downloadPost = () => {
+    downloadFile(`onchain-dojo-${fmt.download}-${todayKey()}.md`, thread.join("\n\n"), "text/markdown");
+  };
+
+  // ── CHALLENGE CARD: PNG snapshot to attach to the first post ──
+  const buildCard = async () => {
+    try {
+      const blob = await renderChallengeCard({ challenge, cat, diff, day: challenge.day, streak: streak.count });
+      if (card) URL.revokeObjectURL(card.url);
+      setCard({ blob, url: URL.createObjectURL(blob) });
+    } catch (e) {
+      showToast("Card rendering failed: " + e.message, "#ef4444");
+    }
+  };
+
+  const closeCard = () => {
+    if (card) URL.revokeObjectURL(card.url);
+    setCard(null);
+  };
+
+  const copyCard = async () => {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ "image/png": card.blob })]);
+      showToast("🖼 Card copied — paste it into your first post");
+    } catch {
+      showToast("This browser can't copy images — use DOWNLOAD_PNG instead.", "#f59e0b");
+    }
+  };
+
+  // ── SCHEDULE QUEUE actions ──
+  const queueThread = async () => {
+    const when = new Date(scheduleAt).getTime();
+    if (!Number.isFinite(when) || when <= Date.now()) {
+      showToast("Pick a posting time in the future.", "#f59e0b");
+      return;
+    }
+    if (typeof Notification !== "undefined" && Notification.permission === "default") {
+      await Notification.requestPermission().catch(() => {});
+    }
+    const item = newScheduleItem(challenge, fmt, thread, when);
+    await repo.putScheduled(item).catch(reportStorageError);
+    setSchedule(list => [...list.filter(it => it.id !== item.id), item].sort((a, b) => a.scheduledFor - b.scheduledFor));
+    const notifying = canNotify();
+    showToast(`⏰ Queued for ${new Date(when).toLocaleString()}${notifying ? "" : " — notifications are blocked, watch the QUEUE"}`);
+  };
+
+  const openScheduled = (item) => {
+    if (item.intentUrl) window.open(item.intentUrl, "_blank");
+    else {
+      navigator.clipboard.writeText(item.tweets.join("\n\n"));
+      showToast("Post copied — this platform has no share link.");
+    }
+  };
+
+  const markPosted = async (item, url) => {
+    const postUrl = url.trim();
+    if (postUrl && !isHttpUrl(postUrl)) {
+      showToast("That doesn't look like a post URL — paste the full https:// link.", "#f59e0b");
+      return;
+    }
+    const next = { ...item, status: "posted", postedAt: Date.now(), postUrl };
+    await repo.putScheduled(next).catch(reportStorageError);
+    setSchedule(list => list.map(it => it.id === item.id ? next : it));
+    setPostUrlDraft(null);
+  };
+
+  const removeScheduled = async (id) => {
+    await repo.deleteScheduled(id).catch(reportStorageError);
+    setSchedule(list => list.filter(it => it.id !== id));
+  };
+
+  const pickPlatform = (id) => {
+    setPlatform(id);
+    savePref("postFormat", id);
   };
 
-  const { cat, diff, day } = getTodayMeta(offsetDays);
-  const streakToday = loadStreak().last === todayKey();
+  // Loaded challenge wins (adaptive picks are frozen at generation time);
+  // otherwise show what the planner would generate for this day
+  const { cat, diff, day } = practice
+    ? { cat: CATEGORIES.find(c => c.id === practice.catId) || CATEGORIES[0], diff: practice.diff, day: challenge?.day ?? getDayNumber() }
+    : challenge?.cat && challenge.day === getTodayMeta(offsetDays).day
+      ? challenge : planChallengeMeta(offsetDays, adaptive, skills);
+  const tomorrow = planChallengeMeta(offsetDays + 1, adaptive, skills);
+  const pendingPosts = schedule.filter(it => it.status !== "posted").length;
+  const provider = PROVIDERS[llm.provider] || PROVIDERS.gemini;
+  const streakState = streakStatus(streak, todayKey());
+  const streakToday = streakState === "done";
+  const streakAtRisk = isStreakAtRisk(streak, reminders, todayKey());
 
   // ══════════════════════════════════════════════════════════════════════════
   // STYLES
@@ -592,7 +4648,7 @@ export default function OnchainDojo() {
   // ══════════════════════════════════════════════════════════════════════════
   // API KEY SCREEN
   // ══════════════════════════════════════════════════════════════════════════
-  if (!apiKey) return (
+  if (!llmReady(llm)) return (
     <div style={S.root}>
       <div style={S.grid} /> <div style={S.scanlines} />
       <div style={{ ...S.wrap, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", minHeight: "100vh", gap: 0 }}>
@@ -612,49 +4668,93 @@ export default function OnchainDojo() {
           borderRadius: 6, padding: "32px 36px", width: "100%", maxWidth: 460,
         }}>
           <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 20 }}>
-            // CONNECT GEMINI API
+            // CONNECT AI PROVIDER
           </div>
 
           <div style={{ fontSize: 11, color: "#3a6a3a", lineHeight: 1.8, marginBottom: 24 }}>
-            Every day, Gemini AI generates a brand-new onchain analysis challenge. You analyze it, get AI feedback, then auto-generate a tweet thread to post on X.<br /><br />
-            Your key is stored locally and never sent anywhere except Google's API.
+            Every day, the AI generates a brand-new onchain analysis challenge. You analyze it, get AI feedback, then auto-generate a tweet thread to post on X.<br /><br />
+            Your key is stored locally and never sent anywhere except the provider's API.
+          </div>
+
+          <div style={{ marginBottom: 14 }}>
+            <div style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em", marginBottom: 8 }}>
+              PROVIDER
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6 }}>
+              {Object.values(PROVIDERS).map(p => (
+                <Btn key={p.id} onClick={() => selectProvider(p.id)} variant={providerInput === p.id ? "primary" : "dim"} style={{ fontSize: 9 }}>
+                  {p.label.toUpperCase()}
+                </Btn>
+              ))}
+            </div>
           </div>
 
-          <div style={{ marginBottom: 14 }}>
-            <div style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em", marginBottom: 8 }}>
-              GEMINI API KEY
+          {providerInput !== "mock" && (
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 14 }}>
+              {[
+                ["MODEL", modelInput, setModelInput, PROVIDERS[providerInput].defaultModel],
+                ["BASE URL", baseUrlInput, setBaseUrlInput, PROVIDERS[providerInput].defaultBaseUrl],
+              ].map(([label, value, set, placeholder]) => (
+                <div key={label}>
+                  <div style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em", marginBottom: 8 }}>{label}</div>
+                  <input
+                    value={value}
+                    onChange={e => { set(e.target.value); setApiKeyError(""); }}
+                    placeholder={placeholder}
+                    style={{
+                      width: "100%", background: "#050a05", border: "1px solid #1a3a1a",
+                      borderRadius: 4, color: "#b8d8b8", fontFamily: "inherit",
+                      fontSize: 11, padding: "8px 10px", outline: "none", boxSizing: "border-box",
+                    }}
+                    onFocus={e => e.target.style.borderColor = "#00c9a7"}
+                    onBlur={e  => e.target.style.borderColor = "#1a3a1a"}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {PROVIDERS[providerInput].keyPlaceholder && (
+            <div style={{ marginBottom: 14 }}>
+              <div style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em", marginBottom: 8 }}>
+                {providerInput === "gemini" ? "GEMINI API KEY" : "API KEY"}
+              </div>
+              <input
+                type="password"
+                value={apiKeyInput}
+                onChange={e => { setApiKeyInput(e.target.value); setApiKeyError(""); }}
+                placeholder={PROVIDERS[providerInput].keyPlaceholder}
+                onKeyDown={e => e.key === "Enter" && handleSaveKey()}
+                style={{
+                  width: "100%", background: "#050a05", border: "1px solid #1a3a1a",
+                  borderRadius: 4, color: "#b8d8b8", fontFamily: "inherit",
+                  fontSize: 12, padding: "10px 14px", outline: "none", boxSizing: "border-box",
+                }}
+                onFocus={e => e.target.style.borderColor = "#00c9a7"}
+                onBlur={e  => e.target.style.borderColor = "#1a3a1a"}
+              />
             </div>
-            <input
-              type="password"
-              value={apiKeyInput}
-              onChange={e => { setApiKeyInput(e.target.value); setApiKeyError(""); }}
-              placeholder="AIza..."
-              onKeyDown={e => e.key === "Enter" && handleSaveKey()}
-              style={{
-                width: "100%", background: "#050a05", border: "1px solid #1a3a1a",
-                borderRadius: 4, color: "#b8d8b8", fontFamily: "inherit",
-                fontSize: 12, padding: "10px 14px", outline: "none", boxSizing: "border-box",
-              }}
-              onFocus={e => e.target.style.borderColor = "#00c9a7"}
-              onBlur={e  => e.target.style.borderColor = "#1a3a1a"}
-            />
-            {apiKeyError && (
-              <div style={{ fontSize: 10, color: "#ef4444", marginTop: 6 }}>{apiKeyError}</div>
-            )}
-          </div>
+          )}
+          {apiKeyError && (
+            <div style={{ fontSize: 10, color: "#ef4444", marginTop: -8, marginBottom: 14 }}>{apiKeyError}</div>
+          )}
 
           <Btn
             onClick={handleSaveKey}
-            disabled={testingKey || !apiKeyInput.trim()}
+            disabled={testingKey || (PROVIDERS[providerInput].needsKey && !apiKeyInput.trim())}
             variant="primary"
             style={{ width: "100%", padding: "12px", fontSize: 11 }}
           >
-            {testingKey ? "TESTING_KEY..." : "CONNECT_AND_START →"}
+            {testingKey ? "TESTING_CONNECTION..." : "CONNECT_AND_START →"}
           </Btn>
 
           <div style={{ marginTop: 20, fontSize: 10, color: "#1a3a1a", lineHeight: 1.8 }}>
-            Get a free key → <span style={{ color: "#2a6a5a" }}>aistudio.google.com</span><br/>
-            Model used: <span style={{ color: "#2a5a4a" }}>gemini-2.5-flash-preview-04-17</span> (free tier works)
+            {providerInput === "gemini" && <>Get a free key → <span style={{ color: "#2a6a5a" }}>aistudio.google.com</span><br/></>}
+            {providerInput === "ollama" && <>Run <span style={{ color: "#2a6a5a" }}>OLLAMA_ORIGINS=* ollama serve</span> so the browser can reach it<br/></>}
+            {providerInput === "mock" && <>Canned fixture challenges — no network, same output every time<br/></>}
+            {PROVIDERS[providerInput].grounding
+              ? "Google Search grounding finds real, verifiable events"
+              : "No web search — challenges come from the model's own knowledge"}
           </div>
         </div>
       </div>
@@ -682,6 +4782,28 @@ export default function OnchainDojo() {
         </div>
       )}
 
+      {/* BUDGET PROMPT — a call over a cap waits here for the user's answer */}
+      {budgetAsk && (
+        <div style={{
+          position: "fixed", bottom: 72, left: "50%", transform: "translateX(-50%)",
+          width: "min(560px, calc(100% - 40px))", boxSizing: "border-box",
+          background: "#0a140a", border: "1px solid #f59e0b", borderRadius: 4,
+          padding: "12px 16px", zIndex: 9999, boxShadow: "0 0 20px #f59e0b30",
+          animation: "fadein 0.25s ease",
+        }}>
+          <div style={{ fontSize: 9, letterSpacing: "0.15em", color: "#f59e0b", marginBottom: 6 }}>
+            ⚠ {LLM_ERRORS.budget.title}
+          </div>
+          <div style={{ fontSize: 11, color: "#c8c8c8", lineHeight: 1.6, marginBottom: 10 }}>
+            Budget warning: {budgetAsk.detail}. Send it anyway?
+          </div>
+          <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+            <Btn variant="dim" onClick={() => answerBudget(false)}>CANCEL</Btn>
+            <Btn variant="primary" onClick={() => answerBudget(true)}>SEND ANYWAY</Btn>
+          </div>
+        </div>
+      )}
+
       <div style={S.wrap}>
 
         {/* ── HEADER ── */}
@@ -692,54 +4814,830 @@ export default function OnchainDojo() {
                 ONCHAIN_DOJO
               </div>
               <div style={{ fontSize: 9, color: "#1a3a1a", letterSpacing: "0.1em" }}>
-                POWERED BY GEMINI AI
+                POWERED BY {provider.label.toUpperCase()}
               </div>
             </div>
             <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
-              {/* Streak badge */}
-              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              {/* Connectivity */}
+              {(!online || outbox.length > 0) && (
+                <div title={online ? "Replaying queued requests" : "Cached challenges and history still work. AI requests are queued."}
+                  style={{ fontSize: 9, letterSpacing: "0.1em", color: online ? "#f59e0b" : "#ef4444", border: `1px solid ${online ? "#f59e0b40" : "#ef444440"}`, padding: "3px 8px", borderRadius: 10 }}>
+                  {online ? "●" : "○ OFFLINE"}{outbox.length > 0 && ` · ${outbox.length} QUEUED`}
+                </div>
+              )}
+              {/* Streak badge — opens the streak panel */}
+              <div onClick={() => togglePanel("streak")} title="Streak, freezes and reminders"
+                style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
                 <span style={{ fontSize: 16, filter: streakToday ? "none" : "grayscale(1)", opacity: streakToday ? 1 : 0.4 }}>🔥</span>
                 <div>
-                  <div style={{ fontSize: 12, color: streakToday ? "#f59e0b" : "#2a4a2a", fontWeight: 700 }}>{streak}</div>
-                  <div style={{ fontSize: 8, color: "#1a3a1a" }}>STREAK</div>
+                  <div style={{ fontSize: 12, color: streakToday ? "#f59e0b" : streakAtRisk ? "#ef4444" : "#2a4a2a", fontWeight: 700, textDecoration: streakState === "lost" ? "line-through" : "none" }}>
+                    {streak.count}
+                    {streak.freezes > 0 && <span style={{ fontSize: 9, color: "#7dd3fc", fontWeight: 400, marginLeft: 5 }}>🧊{streak.freezes}</span>}
+                  </div>
+                  <div style={{ fontSize: 8, color: streakAtRisk ? "#ef4444" : "#1a3a1a" }}>{streakAtRisk ? "AT RISK" : "STREAK"}</div>
                 </div>
               </div>
-              <Btn onClick={() => setShowHistory(v => !v)} variant="dim">
-                {showHistory ? "CLOSE" : "HISTORY"}
+              <Btn onClick={() => togglePanel("history")} variant="dim">
+                {panel === "history" ? "CLOSE" : "HISTORY"}
+              </Btn>
+              <Btn onClick={() => togglePanel("archive")} variant="dim">
+                {panel === "archive" ? "CLOSE" : "ARCHIVE"}
+              </Btn>
+              <Btn onClick={() => togglePanel("practice")} variant={practice ? "primary" : "dim"}>
+                {panel === "practice" ? "CLOSE" : "PRACTICE"}
+              </Btn>
+              <Btn onClick={() => togglePanel("scores")} variant="dim">
+                {panel === "scores" ? "CLOSE" : "SCORES"}
+              </Btn>
+              <Btn onClick={() => togglePanel("stats")} variant="dim">
+                {panel === "stats" ? "CLOSE" : "STATS"}
+              </Btn>
+              <Btn onClick={() => togglePanel("prompts")} variant="dim">
+                {panel === "prompts" ? "CLOSE" : "PROMPTS"}
               </Btn>
-              <Btn onClick={() => { saveApiKey(""); setApiKey(""); }} variant="danger" style={{ fontSize: 9 }}>
+              <Btn onClick={() => togglePanel("usage")} variant="dim">
+                {panel === "usage" ? "CLOSE" : "USAGE"}
+              </Btn>
+              <Btn onClick={() => togglePanel("queue")} variant="dim">
+                {panel === "queue" ? "CLOSE" : "QUEUE"}
+                {pendingPosts > 0 && <span style={{ marginLeft: 6, color: "#f59e0b" }}>{pendingPosts}</span>}
+              </Btn>
+              <Btn onClick={() => togglePanel("glossary")} variant="dim">
+                {panel === "glossary" ? "CLOSE" : "GLOSSARY"}
+              </Btn>
+              <Btn onClick={() => togglePanel("data")} variant="dim">
+                {panel === "data" ? "CLOSE" : "DATA"}
+              </Btn>
+              <Btn onClick={disconnect} variant="danger" style={{ fontSize: 9 }}>
                 ⌫ KEY
               </Btn>
             </div>
           </div>
         </div>
 
+        {/* ── STREAK BANNERS ── */}
+        {streakAtRisk && panel !== "streak" && (
+          <div style={{ background: "#140808", border: "1px solid #ef444440", borderTop: "none", padding: "8px 20px", fontSize: 10, color: "#ef4444", letterSpacing: "0.05em" }}>
+            ⚠ STREAK_AT_RISK — your {streak.count}-day streak ends with today. Finish the challenge or a review session.
+            {daysBetween(streak.last, todayKey()) > 1 && " Freezes will cover the days you missed."}
+          </div>
+        )}
+        {streakNotice && (
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 12, background: "#08101a", border: "1px solid #7dd3fc40", borderTop: "none", padding: "8px 20px", fontSize: 10, color: "#7dd3fc" }}>
+            <span>{streakNotice}</span>
+            <span onClick={() => setStreakNotice(null)} style={{ cursor: "pointer", color: "#3a5a7a" }}>✕</span>
+          </div>
+        )}
+
+        {/* ── STREAK PANEL (freezes + reminder settings) ── */}
+        {panel === "streak" && (
+          <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>// STREAK</div>
+            <div style={{ display: "flex", gap: 24, flexWrap: "wrap", fontSize: 11, marginBottom: 8 }}>
+              <span style={{ color: "#f59e0b" }}>🔥 {streak.count} day{streak.count !== 1 ? "s" : ""}</span>
+              <span style={{ color: "#7dd3fc" }}>🧊 {streak.freezes}/{STREAK_MAX_FREEZES} freezes</span>
+              <span style={{ color: { done: "#00c9a7", open: streakAtRisk ? "#ef4444" : "#f59e0b", lost: "#ef4444", none: "#1a3a1a" }[streakState] }}>
+                {{ done: "✓ done today", open: streakAtRisk ? "⚠ at risk" : "open — not done today", lost: "broken — next session starts over", none: "no streak yet" }[streakState]}
+              </span>
+            </div>
+            <div style={{ fontSize: 10, color: "#1a4a1a", marginBottom: 20, lineHeight: 1.6 }}>
+              Every {STREAK_FREEZE_EVERY} days in a row earns a freeze (max {STREAK_MAX_FREEZES}). Miss a day and the next challenge or review session spends one instead of resetting the streak.
+            </div>
+
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 10 }}>// REMINDERS</div>
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", fontSize: 10, color: "#3a6a3a" }}>
+              <Btn onClick={() => updateReminders({ enabled: !reminders.enabled })} variant={reminders.enabled ? "primary" : "dim"} style={{ fontSize: 9 }}>
+                DAILY_REMINDER: {reminders.enabled ? "ON" : "OFF"}
+              </Btn>
+              <label>
+                remind at{" "}
+                <input type="time" value={reminders.time} onChange={e => e.target.value && updateReminders({ time: e.target.value })}
+                  style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "3px 6px", colorScheme: "dark" }} />
+              </label>
+              <label>
+                streak at risk from{" "}
+                <input type="time" value={reminders.riskTime} onChange={e => e.target.value && updateReminders({ riskTime: e.target.value })}
+                  style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "3px 6px", colorScheme: "dark" }} />
+              </label>
+            </div>
+            <div style={{ fontSize: 9, color: "#1a3a1a", marginTop: 8 }}>
+              {reminders.enabled
+                ? canNotify()
+                  ? "Local notifications only, and only on days you haven't trained yet. Installed apps also get them with no tab open (Chromium)."
+                  : "Notifications are blocked for this site — allow them in the browser to get reminders. The header still warns you."
+                : "Off: no notifications. The header still turns red when the streak is at risk."}
+            </div>
+
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", margin: "20px 0 10px" }}>// DAY_BOUNDARY</div>
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", fontSize: 10, color: "#3a6a3a" }}>
+              <label>
+                time zone{" "}
+                <select value={dayBoundary.timeZone} onChange={e => updateDayBoundary({ timeZone: e.target.value })}
+                  style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "3px 6px" }}>
+                  {[...new Set([dayBoundary.timeZone, defaultTimeZone(), ...(Intl.supportedValuesOf?.("timeZone") || ["UTC"])])].map(tz => (
+                    <option key={tz} value={tz}>{tz}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                new day starts at{" "}
+                <select value={dayBoundary.resetHour} onChange={e => updateDayBoundary({ resetHour: Number(e.target.value) })}
+                  style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "3px 6px" }}>
+                  {Array.from({ length: 13 }, (_, h) => <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>)}
+                </select>
+              </label>
+              {dayBoundary.timeZone !== defaultTimeZone() && (
+                <Btn onClick={() => updateDayBoundary({ timeZone: defaultTimeZone() })} variant="dim" style={{ fontSize: 9 }}>
+                  USE_DEVICE_ZONE ({defaultTimeZone()})
+                </Btn>
+              )}
+            </div>
+            <div style={{ fontSize: 9, color: "#1a3a1a", marginTop: 8 }}>
+              Today is {todayKey()} (day {getDayNumber()}). Challenges, streaks, history and reminder times all follow this zone; a later reset hour keeps late-night sessions on the previous day.
+            </div>
+          </div>
+        )}
+
         {/* ── HISTORY PANEL ── */}
-        {showHistory && (
+        {panel === "history" && (
           <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
             <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>// COMPLETED CHALLENGES</div>
             {history.length === 0
               ? <div style={{ fontSize: 11, color: "#1a3a1a" }}>No entries yet — complete your first challenge below.</div>
               : history.map((h, i) => (
-                <div key={i} style={{ display: "flex", gap: 12, padding: "5px 0", borderBottom: "1px solid #080d08", fontSize: 10, flexWrap: "wrap" }}>
+                <div key={i} onClick={() => openAttempt(h)} style={{ display: "flex", gap: 12, padding: "5px 0", borderBottom: "1px solid #080d08", fontSize: 10, flexWrap: "wrap", cursor: "pointer" }}>
                   <span style={{ color: "#1a4a1a", minWidth: 55 }}>Day {h.day}</span>
                   <span style={{ color: "#00c9a7", minWidth: 70 }}>[{(h.category || "").split(" ")[0]}]</span>
                   <span style={{ color: DIFF_COLORS[h.difficulty] || "#3a6a3a", minWidth: 90 }}>{h.difficulty}</span>
                   <span style={{ color: "#4a7a4a", flex: 1 }}>{h.title}</span>
                   <span style={{ color: "#1a3a1a" }}>{h.date}</span>
+                  <span style={{ color: "#2a6a5a" }}>OPEN ↗</span>
                 </div>
               ))
             }
           </div>
         )}
 
+        {/* ── ARCHIVE PANEL (every cached challenge: search, filter, jump) ── */}
+        {panel === "archive" && archive && (() => {
+          const results = filterArchive(archive, archiveFilters);
+          const setFilter = (patch) => setArchiveFilters(f => ({ ...f, ...patch }));
+          const selectStyle = { background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "5px 8px", outline: "none" };
+          const statusColor = { completed: "#00c9a7", started: "#f59e0b", open: "#2a4a2a" };
+          return (
+            <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+              <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>// CHALLENGE_ARCHIVE</div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+                <input
+                  value={archiveFilters.query}
+                  onChange={e => setFilter({ query: e.target.value })}
+                  placeholder="Search title, problem, event, teaching point..."
+                  style={{ ...selectStyle, flex: 1, minWidth: 220 }}
+                />
+                <select value={archiveFilters.category} onChange={e => setFilter({ category: e.target.value })} style={selectStyle}>
+                  <option value="">all categories</option>
+                  {CATEGORIES.map(c => <option key={c.id} value={c.label}>{c.emoji} {c.label}</option>)}
+                </select>
+                <select value={archiveFilters.difficulty} onChange={e => setFilter({ difficulty: e.target.value })} style={selectStyle}>
+                  <option value="">all difficulties</option>
+                  {DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+                </select>
+                <select value={archiveFilters.status} onChange={e => setFilter({ status: e.target.value })} style={selectStyle}>
+                  <option value="">any status</option>
+                  {ARCHIVE_STATUSES.map(st => <option key={st} value={st}>{st}</option>)}
+                </select>
+              </div>
+              <div style={{ fontSize: 9, color: "#1a3a1a", marginBottom: 8 }}>
+                {results.length} of {archive.length} cached challenge{archive.length !== 1 ? "s" : ""}
+                {results.length > ARCHIVE_PAGE && ` · showing the latest ${ARCHIVE_PAGE}`}
+              </div>
+              {results.length === 0
+                ? <div style={{ fontSize: 11, color: "#1a3a1a" }}>{archive.length ? "No challenges match." : "Nothing cached yet — challenges appear here once generated."}</div>
+                : results.slice(0, ARCHIVE_PAGE).map(({ challenge: c, status }) => (
+                  <div key={c.dateKey} onClick={() => openArchived(c)} style={{ padding: "7px 0", borderBottom: "1px solid #080d08", fontSize: 10, cursor: "pointer" }}>
+                    <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                      <span style={{ color: "#1a4a1a", minWidth: 55 }}>Day {c.day}</span>
+                      <span style={{ color: "#00c9a7", minWidth: 70 }}>[{(c.category || "").split(" ")[0]}]</span>
+                      <span style={{ color: DIFF_COLORS[c.diff] || "#3a6a3a", minWidth: 90 }}>{c.diff}</span>
+                      <span style={{ color: "#4a7a4a", flex: 1 }}>{c.title}</span>
+                      <span style={{ color: statusColor[status], minWidth: 70 }}>{status.toUpperCase()}</span>
+                      <span style={{ color: "#1a3a1a" }}>{c.dateKey}</span>
+                      <span style={{ color: "#2a6a5a" }}>GO ↗</span>
+                    </div>
+                    <div style={{ color: "#2a4a2a", marginTop: 3, lineHeight: 1.5 }}>{archiveSnippet(c, archiveFilters.query)}</div>
+                  </div>
+                ))
+              }
+            </div>
+          );
+        })()}
+
+        {/* ── PRACTICE PANEL (ad-hoc challenges, no streak) ── */}
+        {panel === "practice" && (() => {
+          const angles = getCategoryAngles(practiceForm.catId).split(", ");
+          const setForm = (patch) => setPracticeForm(f => ({ ...f, ...patch }));
+          return (
+            <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+              <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>// FREE_PRACTICE</div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+                {CATEGORIES.map(c => (
+                  <Btn key={c.id} onClick={() => setForm({ catId: c.id, focus: "" })} variant="dim"
+                    style={{ fontSize: 9, padding: "5px 10px", ...(practiceForm.catId === c.id && { borderColor: c.color, color: c.color }) }}>
+                    {c.emoji} {c.label}
+                  </Btn>
+                ))}
+              </div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+                {DIFFICULTIES.map(d => (
+                  <Btn key={d} onClick={() => setForm({ diff: d })} variant="dim"
+                    style={{ fontSize: 9, padding: "5px 10px", ...(practiceForm.diff === d && { borderColor: DIFF_COLORS[d], color: DIFF_COLORS[d] }) }}>
+                    {d}
+                  </Btn>
+                ))}
+              </div>
+              <div style={{ fontSize: 8, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 6 }}>FOCUS (OPTIONAL)</div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8 }}>
+                {angles.map(a => (
+                  <span key={a} onClick={() => setForm({ focus: practiceForm.focus === a ? "" : a })}
+                    style={{ fontSize: 9, padding: "3px 9px", borderRadius: 10, cursor: "pointer", border: `1px solid ${practiceForm.focus === a ? "#00c9a7" : "#1a3a1a"}`, color: practiceForm.focus === a ? "#00c9a7" : "#3a6a3a" }}>
+                    {a}
+                  </span>
+                ))}
+              </div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+                <input
+                  value={practiceForm.focus}
+                  onChange={e => setForm({ focus: e.target.value })}
+                  onKeyDown={e => e.key === "Enter" && startPractice()}
+                  placeholder="...or your own topic, e.g. Curve gauge wars, ETF custody flows"
+                  style={{ flex: 1, minWidth: 240, background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "6px 8px", outline: "none" }}
+                />
+                <Btn onClick={startPractice} disabled={generating} variant="primary" style={{ fontSize: 10 }}>
+                  ⚡ GENERATE_PRACTICE
+                </Btn>
+              </div>
+              <div style={{ fontSize: 9, color: "#1a3a1a", marginBottom: 16 }}>
+                Practice challenges are kept apart from the daily ones: no streak, no history, no stats. Review cards and skill ratings still count.
+              </div>
+
+              <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 8 }}>// PAST_PRACTICE</div>
+              {practiceList.length === 0
+                ? <div style={{ fontSize: 11, color: "#1a3a1a" }}>None yet.</div>
+                : practiceList.map(p => (
+                  <div key={p.dateKey} onClick={() => openPractice(p)} style={{ display: "flex", gap: 12, padding: "5px 0", borderBottom: "1px solid #080d08", fontSize: 10, flexWrap: "wrap", cursor: "pointer" }}>
+                    <span style={{ color: p.cat?.color || "#00c9a7", minWidth: 70 }}>[{(p.category || "").split(" ")[0]}]</span>
+                    <span style={{ color: DIFF_COLORS[p.diff] || "#3a6a3a", minWidth: 90 }}>{p.diff}</span>
+                    <span style={{ color: "#4a7a4a", flex: 1 }}>{p.title}</span>
+                    {p.practice?.focus && <span style={{ color: "#2a5a4a" }}>{p.practice.focus}</span>}
+                    <span style={{ color: "#1a3a1a" }}>{new Date(p.createdAt).toLocaleDateString()}</span>
+                    <span style={{ color: "#2a6a5a" }}>OPEN ↗</span>
+                  </div>
+                ))
+              }
+            </div>
+          );
+        })()}
+
+        {/* ── SCORES PANEL (feedback rubric over time, per category) ── */}
+        {panel === "scores" && (
+          <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 10 }}>// SKILL_PROFILE</div>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: "8px 18px", marginBottom: 12 }}>
+              {CATEGORIES.map(c => {
+                const sk = skills[c.id];
+                const rating = sk?.rating ?? SKILL_START;
+                return (
+                  <div key={c.id}>
+                    <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, marginBottom: 4 }}>
+                      <span style={{ color: c.color }}>{c.emoji} {c.label}</span>
+                      <span style={{ color: DIFF_COLORS[difficultyForRating(rating)] }}>
+                        {Math.round(rating)} · {sk ? `${sk.samples}×` : "new"}
+                      </span>
+                    </div>
+                    <div style={{ background: "#0d1a0d", height: 3, borderRadius: 1 }}>
+                      <div style={{ height: "100%", width: `${rating}%`, background: c.color, borderRadius: 1, opacity: sk ? 1 : 0.35 }} />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 20 }}>
+              <Btn onClick={() => updateAdaptive({ enabled: !adaptive.enabled })} variant={adaptive.enabled ? "primary" : "dim"} style={{ fontSize: 9 }}>
+                ADAPTIVE_DIFFICULTY: {adaptive.enabled ? "ON" : "OFF"}
+              </Btn>
+              <Btn onClick={() => updateAdaptive({ weakestCategory: !adaptive.weakestCategory })} disabled={!adaptive.enabled} variant={adaptive.enabled && adaptive.weakestCategory ? "primary" : "dim"} style={{ fontSize: 9 }}>
+                TARGET_WEAKEST_CATEGORY: {adaptive.weakestCategory ? "ON" : "OFF"}
+              </Btn>
+              <span style={{ fontSize: 9, color: "#1a3a1a" }}>
+                {adaptive.enabled
+                  ? "New challenges match your rating. Already-generated days keep theirs."
+                  : "Off: everyone gets the same daily category + difficulty."}
+              </span>
+            </div>
+
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 8 }}>// FEEDBACK_SCORES_BY_CATEGORY</div>
+            <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginBottom: 14 }}>
+              {FEEDBACK_DIMENSIONS.map(d => (
+                <span key={d.id} style={{ fontSize: 9, color: d.color, letterSpacing: "0.08em" }}>━ {d.label}</span>
+              ))}
+            </div>
+            {Object.keys(scoreSeries).length === 0
+              ? <div style={{ fontSize: 11, color: "#1a3a1a" }}>No scored feedback yet — hit GET_AI_FEEDBACK on a challenge.</div>
+              : (
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))", gap: 12 }}>
+                  {CATEGORIES.filter(c => scoreSeries[c.id]).map(c => {
+                    const points = scoreSeries[c.id];
+                    return (
+                      <div key={c.id} style={{ background: "#080d08", border: "1px solid #0d1a0d", borderRadius: 4, padding: "10px 12px" }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, marginBottom: 6 }}>
+                          <span style={{ color: c.color }}>{c.emoji} {c.label}</span>
+                          <span style={{ color: "#3a7a3a" }}>{points.length} · last {points.at(-1).overall}/10</span>
+                        </div>
+                        <ScoreChart points={points} />
+                      </div>
+                    );
+                  })}
+                </div>
+              )
+            }
+          </div>
+        )}
+
+        {/* ── STATS PANEL (activity dashboard) ── */}
+        {panel === "stats" && stats && (() => {
+          const label = { fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 10 };
+          const rateRow = (key, name, color, { offered, completed }) => (
+            <div key={key} style={{ marginBottom: 8 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, marginBottom: 4 }}>
+                <span style={{ color }}>{name}</span>
+                <span style={{ color: "#3a7a3a" }}>{offered ? `${completed}/${offered} · ${Math.round(completed / offered * 100)}%` : "—"}</span>
+              </div>
+              <div style={{ background: "#0d1a0d", height: 3, borderRadius: 1 }}>
+                <div style={{ height: "100%", width: `${offered ? completed / offered * 100 : 0}%`, background: color, borderRadius: 1 }} />
+              </div>
+            </div>
+          );
+          const tiles = [
+            ["COMPLETED", stats.completed],
+            ["ACTIVE_DAYS", stats.activeDays],
+            ["CURRENT_STREAK", streak.count],
+            ["LONGEST_STREAK", Math.max(stats.longestStreak, streak.count)],
+            ["AVG_ANALYSIS", stats.analysed ? `${stats.avgAnalysisWords}w` : "—", stats.analysed && `${stats.avgAnalysisChars} chars · ${stats.analysed} written`],
+            ["SCORE_TREND", stats.scoreTrend === null ? "—" : `${stats.scoreTrend > 0 ? "+" : ""}${stats.scoreTrend}`, "recent vs first scored attempts"],
+          ];
+          return (
+            <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(130px, 1fr))", gap: 10, marginBottom: 20 }}>
+                {tiles.map(([name, value, sub]) => (
+                  <div key={name} style={{ background: "#080d08", border: "1px solid #0d1a0d", borderRadius: 4, padding: "10px 12px" }}>
+                    <div style={{ fontSize: 8, color: "#2a6a2a", letterSpacing: "0.15em" }}>{name}</div>
+                    <div style={{ fontSize: 18, color: "#b8d8b8", fontWeight: 700, marginTop: 4 }}>{value}</div>
+                    {sub && <div style={{ fontSize: 8, color: "#1a3a1a", marginTop: 2 }}>{sub}</div>}
+                  </div>
+                ))}
+              </div>
+
+              <div style={label}>// ACTIVITY · LAST {HEATMAP_WEEKS} WEEKS</div>
+              <div style={{ marginBottom: 20 }}>
+                <ActivityHeatmap perDay={stats.perDay} today={todayKey()} />
+              </div>
+
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: "8px 28px", marginBottom: 20 }}>
+                <div>
+                  <div style={label}>// COMPLETION_BY_CATEGORY</div>
+                  {stats.byCategory.map(({ cat: c, ...r }) => rateRow(c.id, `${c.emoji} ${c.label}`, c.color, r))}
+                </div>
+                <div>
+                  <div style={label}>// COMPLETION_BY_DIFFICULTY</div>
+                  {stats.byDifficulty.map(({ diff: d, ...r }) => rateRow(d, d, DIFF_COLORS[d], r))}
+                  <div style={{ fontSize: 9, color: "#1a3a1a", marginTop: 10 }}>Completed out of every challenge you opened.</div>
+                </div>
+              </div>
+
+              <div style={label}>// FEEDBACK_SCORE_TREND</div>
+              {stats.scores.length === 0
+                ? <div style={{ fontSize: 11, color: "#1a3a1a" }}>No scored feedback yet — hit GET_AI_FEEDBACK on a challenge.</div>
+                : (
+                  <>
+                    <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginBottom: 8 }}>
+                      {FEEDBACK_DIMENSIONS.map(d => (
+                        <span key={d.id} style={{ fontSize: 9, color: d.color, letterSpacing: "0.08em" }}>━ {d.label}</span>
+                      ))}
+                    </div>
+                    <ScoreChart points={stats.scores} height={110} />
+                  </>
+                )
+              }
+            </div>
+          );
+        })()}
+
+        {/* ── PROMPTS PANEL (template editor, preview, versions) ── */}
+        {panel === "prompts" && (() => {
+          const { id, draft } = promptEdit;
+          const tpl = PROMPT_TEMPLATES[id];
+          const active = activeTemplate(id, promptTemplates);
+          const text = draft ?? active.text;
+          const dirty = draft !== null && draft !== active.text;
+          const unknown = unknownPlaceholders(id, text);
+          const preview = renderTemplate(text, tpl.vars(promptPreviewContext({ challenge, analysis, conclusion, fmt }))).trim();
+          const versions = [...(promptTemplates[id]?.versions || [])].reverse();
+          const label = { fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 8 };
+          const versionRow = (version, when, source) => (
+            <div key={version} style={{ display: "flex", alignItems: "center", gap: 10, padding: "5px 0", borderBottom: "1px solid #0a140a", fontSize: 10 }}>
+              <span style={{ color: version === active.version ? "#00c9a7" : "#7aa87a", minWidth: 60 }}>{version ? `v${version}` : "built-in"}</span>
+              <span style={{ flex: 1, color: "#2a5a2a" }}>{when}{source === "import" && " · imported"}</span>
+              {version === active.version
+                ? <span style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.1em" }}>IN USE</span>
+                : (
+                  <>
+                    <Btn onClick={() => setPromptEdit({ id, draft: version ? promptTemplates[id].versions.find(v => v.version === version).text : tpl.text })}
+                      variant="dim" style={{ fontSize: 9, padding: "3px 8px" }}>VIEW</Btn>
+                    <Btn onClick={() => activatePromptVersion(id, version)} variant="ghost" style={{ fontSize: 9, padding: "3px 8px" }}>
+                      {version ? "REVERT" : "RESET"}
+                    </Btn>
+                  </>
+                )}
+            </div>
+          );
+          return (
+            <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap", marginBottom: 14 }}>
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                  {Object.values(PROMPT_TEMPLATES).map(t => {
+                    const v = activeTemplate(t.id, promptTemplates).version;
+                    return (
+                      <Btn key={t.id} onClick={() => setPromptEdit({ id: t.id, draft: null })} variant={t.id === id ? "primary" : "dim"} style={{ fontSize: 9, padding: "4px 10px" }}>
+                        {t.label.toUpperCase()}{v > 0 && <span style={{ color: "#a855f7", marginLeft: 5 }}>v{v}</span>}
+                      </Btn>
+                    );
+                  })}
+                </div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <Btn onClick={exportPrompts} variant="ghost" style={{ fontSize: 9, padding: "4px 10px" }}>⇩ EXPORT_SET</Btn>
+                  <Btn onClick={() => promptImportRef.current?.click()} variant="ghost" style={{ fontSize: 9, padding: "4px 10px" }}>⇧ IMPORT_SET</Btn>
+                  <input ref={promptImportRef} type="file" accept="application/json,.json" style={{ display: "none" }}
+                    onChange={e => importPrompts(e.target.files[0])} />
+                </div>
+              </div>
+
+              <div style={{ fontSize: 10, color: "#2a5a2a", marginBottom: 10 }}>
+                Used for {tpl.usedBy} · in use: {active.version ? `v${active.version}` : "built-in"}
+                {draft !== null && <span style={{ color: dirty ? "#f59e0b" : "#2a5a2a" }}> · {dirty ? "unsaved changes" : "no changes"}</span>}
+              </div>
+              <textarea
+                value={text}
+                onChange={e => setPromptEdit({ id, draft: e.target.value })}
+                spellCheck={false}
+                style={{
+                  width: "100%", minHeight: 240, background: "#060c06", border: `1px solid ${dirty ? "#f59e0b60" : "#1a3a1a"}`,
+                  borderRadius: 4, color: "#b8dab8", fontFamily: "'Courier New', monospace", fontSize: 11, lineHeight: 1.6,
+                  padding: "12px 14px", resize: "vertical", outline: "none", boxSizing: "border-box",
+                }}
+              />
+              {unknown.length > 0 && (
+                <div style={{ fontSize: 10, color: "#ef4444", marginTop: 6 }}>
+                  ⚠ Unknown placeholder{unknown.length > 1 && "s"}: {unknown.map(n => `{{${n}}}`).join(", ")} — they'd be sent to the model as written.
+                </div>
+              )}
+              <div style={{ display: "flex", gap: 8, marginTop: 10, marginBottom: 16 }}>
+                <Btn onClick={savePromptDraft} disabled={!dirty} variant="primary" style={{ fontSize: 9, padding: "5px 12px" }}>
+                  SAVE AS v{Math.max(0, ...(promptTemplates[id]?.versions || []).map(v => v.version)) + 1}
+                </Btn>
+                <Btn onClick={() => setPromptEdit({ id, draft: null })} disabled={draft === null} variant="dim" style={{ fontSize: 9, padding: "5px 12px" }}>DISCARD</Btn>
+              </div>
+
+              <div style={label}>// VARIABLES</div>
+              <div style={{ display: "flex", gap: "4px 14px", flexWrap: "wrap", marginBottom: 16 }}>
+                {tpl.variables.map(([name, hint]) => (
+                  <span key={name} title={hint} style={{ fontSize: 10, color: "#7aa87a" }}>
+                    {`{{${name}}}`} <span style={{ color: "#1a4a1a" }}>{hint}</span>
+                  </span>
+                ))}
+              </div>
+
+              <div style={label}>// PREVIEW {challenge ? `· DAY ${challenge.day}` : "· SAMPLE CHALLENGE"}</div>
+              <pre style={{
+                background: "#050a05", border: "1px solid #0d1a0d", borderRadius: 4, padding: "12px 14px", marginBottom: 16,
+                fontSize: 10, lineHeight: 1.6, color: "#6a9a6a", whiteSpace: "pre-wrap", maxHeight: 280, overflowY: "auto", fontFamily: "inherit",
+              }}>{preview}</pre>
+
+              <div style={label}>// VERSIONS</div>
+              {versions.map(v => versionRow(v.version, new Date(v.savedAt).toLocaleString(), v.source))}
+              {versionRow(0, "shipped with the app")}
+            </div>
+          );
+        })()}
+
+        {/* ── USAGE PANEL (tokens, estimated cost, budget caps) ── */}
+        {panel === "usage" && usage && (() => {
+          const totals = usageTotals(usage, todayKey(), modelPrices);
+          const label = { fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 10 };
+          const inputStyle = { width: 64, background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "3px 6px", outline: "none" };
+          const cell = { padding: "5px 8px", borderBottom: "1px solid #0a140a", textAlign: "right" };
+          const tokens = (r) => formatTokens(r.prompt + r.output + r.grounding);
+          const usd = (v) => Math.max(0, Number(v) || 0);
+          const tiles = [
+            ["TODAY", totals.today, budget.dailyUsd],
+            ["THIS_MONTH", totals.month, budget.monthlyUsd],
+          ];
+          return (
+            <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 10, marginBottom: 20 }}>
+                {tiles.map(([name, t, cap]) => (
+                  <div key={name} style={{ background: "#080d08", border: "1px solid #0d1a0d", borderRadius: 4, padding: "10px 12px" }}>
+                    <div style={{ fontSize: 8, color: "#2a6a2a", letterSpacing: "0.15em" }}>{name}</div>
+                    <div style={{ fontSize: 18, color: cap && t.cost > cap ? "#ef4444" : "#b8d8b8", fontWeight: 700, marginTop: 4 }}>
+                      {formatUsd(t.cost)}
+                      {cap > 0 && <span style={{ fontSize: 10, color: "#2a5a2a", fontWeight: 400 }}> / {formatUsd(cap)}</span>}
+                    </div>
+                    <div style={{ fontSize: 8, color: "#1a3a1a", marginTop: 2 }}>{t.calls} calls · {tokens(t)} tokens</div>
+                    {cap > 0 && (
+                      <div style={{ background: "#0d1a0d", height: 3, borderRadius: 1, marginTop: 6 }}>
+                        <div style={{ height: "100%", width: `${Math.min(100, t.cost / cap * 100)}%`, background: t.cost > cap * 0.8 ? "#f59e0b" : "#00c9a7", borderRadius: 1 }} />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div style={label}>// BY_FEATURE</div>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, color: "#7aa87a", marginBottom: 20 }}>
+                <thead>
+                  <tr style={{ fontSize: 8, color: "#2a6a2a", letterSpacing: "0.1em" }}>
+                    <th style={{ ...cell, textAlign: "left" }}>FEATURE</th>
+                    <th style={cell}>TODAY</th><th style={cell}>TOKENS</th>
+                    <th style={cell}>MONTH</th><th style={cell}>TOKENS</th><th style={cell}>CALLS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {USAGE_FEATURES.filter(f => totals.features[f.id]).map(f => {
+                    const { today, month } = totals.features[f.id];
+                    return (
+                      <tr key={f.id}>
+                        <td style={{ ...cell, textAlign: "left", color: "#b8d8b8" }}>{f.label}</td>
+                        <td style={cell}>{formatUsd(today.cost)}</td><td style={cell}>{tokens(today)}</td>
+                        <td style={cell}>{formatUsd(month.cost)}</td><td style={cell}>{tokens(month)}</td><td style={cell}>{month.calls}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {totals.month.calls === 0 && <div style={{ fontSize: 11, color: "#1a3a1a", marginBottom: 20 }}>No AI calls this month yet.</div>}
+
+              {totals.models.length > 0 && (
+                <>
+                  <div style={label}>// BY_MODEL · THIS MONTH · USD PER 1M TOKENS</div>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, color: "#7aa87a", marginBottom: 8 }}>
+                    <thead>
+                      <tr style={{ fontSize: 8, color: "#2a6a2a", letterSpacing: "0.1em" }}>
+                        <th style={{ ...cell, textAlign: "left" }}>MODEL</th>
+                        <th style={cell}>INPUT</th><th style={cell}>SEARCH</th><th style={cell}>OUTPUT</th>
+                        <th style={cell}>$ IN</th><th style={cell}>$ OUT</th><th style={cell}>COST</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {totals.models.map(m => {
+                        const local = PROVIDERS[m.provider]?.local;
+                        const price = m.price || { input: 0, output: 0 };
+                        return (
+                          <tr key={m.key}>
+                            <td style={{ ...cell, textAlign: "left", color: "#b8d8b8" }}>
+                              {m.model}<span style={{ color: "#1a4a1a" }}> · {PROVIDERS[m.provider]?.label || m.provider}</span>
+                              {!m.price && <span style={{ color: "#f59e0b" }}> · unpriced</span>}
+                            </td>
+                            <td style={cell}>{formatTokens(m.prompt)}</td>
+                            <td style={cell}>{formatTokens(m.grounding)}</td>
+                            <td style={cell}>{formatTokens(m.output)}</td>
+                            {local ? <td colSpan={2} style={{ ...cell, color: "#1a4a1a" }}>local — free</td> : ["input", "output"].map(k => (
+                              <td key={k} style={cell}>
+                                <input type="number" min="0" step="0.01" value={price[k]} style={inputStyle}
+                                  onChange={e => updateModelPrice(m.model, { ...price, [k]: usd(e.target.value) })} />
+                              </td>
+                            ))}
+                            <td style={{ ...cell, color: "#b8d8b8" }}>
+                              {formatUsd(m.cost)}
+                              {modelPrices[m.model] && (
+                                <span onClick={() => updateModelPrice(m.model, null)} title="Back to the list price"
+                                  style={{ cursor: "pointer", color: "#2a5a2a", marginLeft: 6 }}>↺</span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <div style={{ fontSize: 9, color: "#1a3a1a", marginBottom: 20 }}>
+                    Estimates from list prices — your bill may differ (free tiers, grounded-search request fees).
+                    {totals.unpriced && " Unpriced models count as $0 until you enter their price."}
+                  </div>
+                </>
+              )}
+
+              <div style={label}>// BUDGET_CAP</div>
+              <div style={{ display: "flex", gap: 18, flexWrap: "wrap", alignItems: "center", fontSize: 10, color: "#3a7a3a" }}>
+                <label>
+                  DAILY $ <input type="number" min="0" step="0.5" value={budget.dailyUsd} style={inputStyle}
+                    onChange={e => updateBudget({ dailyUsd: usd(e.target.value) })} />
+                </label>
+                <label>
+                  MONTHLY $ <input type="number" min="0" step="1" value={budget.monthlyUsd} style={inputStyle}
+                    onChange={e => updateBudget({ monthlyUsd: usd(e.target.value) })} />
+                </label>
+                <span style={{ fontSize: 9, color: "#1a3a1a" }}>0 = no cap. You're asked before a call that could go over it.</span>
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* ── QUEUE PANEL (scheduled posts) ── */}
+        {panel === "queue" && (
+          <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>// POST_QUEUE</div>
+            {schedule.length === 0
+              ? <div style={{ fontSize: 11, color: "#1a3a1a" }}>Nothing queued — generate a thread, pick a time on the tweet tab and hit ⏰ QUEUE.</div>
+              : schedule.map(item => {
+                const f = POST_FORMATS[item.platform] || POST_FORMATS.x;
+                const statusColor = { scheduled: "#3a7a3a", notified: "#f59e0b", posted: "#00c9a7" }[item.status];
+                return (
+                  <div key={item.id} style={{ padding: "8px 0", borderBottom: "1px solid #080d08", fontSize: 10 }}>
+                    <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+                      <span style={{ color: f.color, minWidth: 24 }}>{f.icon}</span>
+                      <span style={{ color: "#1a4a1a", minWidth: 55 }}>Day {item.day}</span>
+                      <span style={{ color: "#4a7a4a", flex: 1 }}>{item.title}</span>
+                      <span style={{ color: "#3a6a3a" }}>{new Date(item.scheduledFor).toLocaleString()}</span>
+                      <span style={{ color: statusColor, minWidth: 70 }}>{item.status.toUpperCase()}</span>
+                    </div>
+                    <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap", alignItems: "center" }}>
+                      {item.status !== "posted" && (
+                        <>
+                          <Btn onClick={() => openScheduled(item)} variant="twitter" style={{ fontSize: 9, padding: "4px 10px", borderColor: f.color, color: f.color }}>
+                            {item.intentUrl ? `${f.icon} OPEN ↗` : "COPY"}
+                          </Btn>
+                          {postUrlDraft?.id === item.id ? (
+                            <>
+                              <input
+                                value={postUrlDraft.url}
+                                onChange={e => setPostUrlDraft({ id: item.id, url: e.target.value })}
+                                onKeyDown={e => e.key === "Enter" && markPosted(item, postUrlDraft.url)}
+                                placeholder="Post URL (optional)"
+                                style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "4px 8px", outline: "none", minWidth: 240 }}
+                              />
+                              <Btn onClick={() => markPosted(item, postUrlDraft.url)} variant="primary" style={{ fontSize: 9, padding: "4px 10px" }}>SAVE</Btn>
+                            </>
+                          ) : (
+                            <Btn onClick={() => setPostUrlDraft({ id: item.id, url: "" })} variant="ghost" style={{ fontSize: 9, padding: "4px 10px" }}>✓ MARK_POSTED</Btn>
+                          )}
+                        </>
+                      )}
+                      {item.status === "posted" && (item.postUrl
+                        ? <a href={item.postUrl} target="_blank" rel="noopener noreferrer" style={{ fontSize: 10, color: "#00c9a7", textDecoration: "none", wordBreak: "break-all" }}>{item.postUrl} ↗</a>
+                        : <span style={{ color: "#1a4a1a" }}>posted {new Date(item.postedAt).toLocaleString()}</span>)}
+                      <Btn onClick={() => removeScheduled(item.id)} variant="danger" style={{ fontSize: 9, padding: "4px 10px" }}>REMOVE</Btn>
+                    </div>
+                  </div>
+                );
+              })
+            }
+          </div>
+        )}
+
+        {/* ── GLOSSARY PANEL (bundled definitions + AI-fetched cache) ── */}
+        {panel === "glossary" && (() => {
+          const results = searchGlossary(glossary, glossaryQuery);
+          const q = glossaryQuery.trim();
+          const known = q && lookupTerm(glossary, q);
+          return (
+            <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+              <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>
+                // METRIC_GLOSSARY — {glossary.entries.length} TERMS · {glossaryCache.length} FROM AI
+              </div>
+              <input
+                value={glossaryQuery}
+                onChange={e => { setGlossaryQuery(e.target.value); setGlossaryOpen(null); }}
+                placeholder="Search metrics — SOPR, health factor, blob fees..."
+                style={{
+                  width: "100%", background: "#050a05", border: "1px solid #1a3a1a",
+                  borderRadius: 4, color: "#b8d8b8", fontFamily: "inherit",
+                  fontSize: 11, padding: "9px 12px", outline: "none", boxSizing: "border-box", marginBottom: 10,
+                }}
+              />
+              {q && !known && (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", fontSize: 10, color: "#4a7a4a", marginBottom: 10 }}>
+                  "{q}" isn't in the glossary.
+                  <Btn onClick={() => lookUpMetric(q)} disabled={!!lookingUp} variant="ghost" style={{ fontSize: 9, padding: "4px 10px" }}>
+                    {lookingUp === q ? "LOOKING_UP..." : "LOOK_UP_WITH_AI"}
+                  </Btn>
+                </div>
+              )}
+              <div style={{ maxHeight: 420, overflowY: "auto" }}>
+                {results.map(e => {
+                  const cat = CATEGORIES.find(c => c.id === e.category);
+                  const open = glossaryOpen === e.id;
+                  return (
+                    <div key={e.id} style={{ borderBottom: "1px solid #080d08", padding: "6px 0" }}>
+                      <div onClick={() => setGlossaryOpen(open ? null : e.id)} style={{ display: "flex", gap: 12, fontSize: 10, cursor: "pointer" }}>
+                        <span style={{ color: cat?.color || "#f59e0b", minWidth: 18 }}>{cat?.emoji || "✦"}</span>
+                        <span style={{ color: "#00c9a7", minWidth: 170 }}>{e.term}</span>
+                        <span style={{ color: "#3a6a3a", flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: open ? "normal" : "nowrap" }}>
+                          {open ? "" : e.definition}
+                        </span>
+                        <span style={{ color: "#1a4a1a" }}>{open ? "▾" : "▸"}</span>
+                      </div>
+                      {open && (
+                        <div style={{ padding: "6px 0 8px 30px" }}>
+                          <GlossaryCard entry={e} onOpen={openGlossary} />
+                          {e.source === "llm" && (
+                            <div style={{ marginTop: 10, fontSize: 9, color: "#8a6a2a" }}>
+                              Fetched from {PROVIDERS[e.provider]?.label || "AI"} on {new Date(e.fetchedAt).toLocaleDateString()} — not reviewed.{" "}
+                              <span onClick={() => forgetGlossaryEntry(e.id)} style={{ color: "#ef4444", cursor: "pointer" }}>FORGET</span>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* ── DATA PANEL (backup + journal) ── */}
+        {panel === "data" && (
+          <div style={{ background: "#060b06", border: "1px solid #0d1a0d", borderTop: "none", padding: "16px 20px" }}>
+            <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 12 }}>// BACKUP_AND_JOURNAL</div>
+            <div style={{ fontSize: 10, color: "#2a5a2a", lineHeight: 1.8, marginBottom: 14 }}>
+              JSON backup = challenges, attempts, history, streak, skills, review cards and provider settings (never your API key).
+              Importing merges into what's here — nothing is deleted.<br/>
+              Markdown journal = one section per day you worked on, ready to commit to a notes repo.
+            </div>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <Btn onClick={exportBackup} variant="primary">⇩ EXPORT_JSON</Btn>
+              <Btn onClick={() => importRef.current?.click()} variant="ghost">⇧ IMPORT_JSON</Btn>
+              <Btn onClick={exportJournal} variant="ghost">⇩ MARKDOWN_JOURNAL</Btn>
+              <input ref={importRef} type="file" accept="application/json,.json" style={{ display: "none" }}
+                onChange={e => handleImport(e.target.files[0])} />
+            </div>
+          </div>
+        )}
+
+        {/* ── ATTEMPT VIEWER (opened from history) ── */}
+        {viewAttempt && (
+          <div style={{ background: "#060b06", border: "1px solid #1a3a1a", borderTop: "none", padding: "16px 20px" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+              <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em" }}>
+                // ATTEMPT — DAY {viewAttempt.attempt.day} · {viewAttempt.attempt.title}
+              </div>
+              <Btn onClick={() => setViewAttempt(null)} variant="dim" style={{ fontSize: 9, padding: "4px 10px" }}>CLOSE</Btn>
+            </div>
+            <div style={{ fontSize: 9, color: "#1a4a1a", marginBottom: 14 }}>
+              Started {new Date(viewAttempt.attempt.createdAt).toLocaleString()} · last edit {new Date(viewAttempt.attempt.updatedAt).toLocaleString()}
+            </div>
+            {viewAttempt.challenge && (
+              <div style={{ fontSize: 11, color: "#3a6a3a", lineHeight: 1.7, marginBottom: 14 }}>
+                <span style={{ color: "#1a4a1a", marginRight: 8 }}>// SCENARIO</span>{viewAttempt.challenge.problem}
+              </div>
+            )}
+            {[["ANALYSIS", viewAttempt.attempt.analysis], ["CONCLUSION", viewAttempt.attempt.conclusion]].map(([label, text]) => (
+              <div key={label} style={{ marginBottom: 14 }}>
+                <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 6 }}>// {label}</div>
+                <div style={{ fontSize: 11, color: "#a8c8a8", lineHeight: 1.75, whiteSpace: "pre-wrap" }}>{text || "—"}</div>
+              </div>
+            ))}
+            {viewAttempt.attempt.feedback.map((f, i) => (
+              <div key={i} style={{ borderLeft: "3px solid #00c9a7", padding: "8px 14px", marginBottom: 10 }}>
+                <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 6 }}>
+                  // FEEDBACK #{i + 1} · {new Date(f.at).toLocaleString()}
+                  {f.prompts && <span style={{ color: "#1a4a4a" }}> · {describePrompts(f.prompts)}</span>}
+                </div>
+                <FeedbackView entry={f} />
+              </div>
+            ))}
+            {viewAttempt.attempt.threads.map((t, i) => (
+              <div key={i} style={{ borderLeft: "3px solid #1d9bf0", padding: "8px 14px", marginBottom: 10 }}>
+                <div style={{ fontSize: 9, color: "#1d9bf0", letterSpacing: "0.15em", marginBottom: 6 }}>
+                  // {(POST_FORMATS[t.platform || "x"]?.label || "Thread").toUpperCase()} v{i + 1} · {new Date(t.at).toLocaleString()}
+                  {t.prompts && <span style={{ color: "#1a3a5a" }}> · {describePrompts(t.prompts)}</span>}
+                </div>
+                {t.tweets.map((tweet, j) => (
+                  <div key={j} style={{ fontSize: 11, color: "#a8c8a8", lineHeight: 1.7, whiteSpace: "pre-wrap", padding: "4px 0", borderBottom: "1px solid #080d08" }}>
+                    <span style={{ color: "#1a5a1a", marginRight: 8 }}>{j + 1}/</span>{tweet}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* ── DAY NAV BAR ── */}
         <div style={{ display: "flex", alignItems: "center", gap: 12, padding: "14px 0 12px", borderBottom: "1px solid #0a140a" }}>
           <Btn onClick={() => changeDay(-1)} style={{ padding: "6px 10px" }}>‹</Btn>
 
           <div style={{ flex: 1 }}>
             <div style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.14em" }}>
-              {offsetDays === 0 ? `TODAY // DAY_${String(day).padStart(3,"0")}` : offsetDays > 0 ? `FUTURE // DAY_${String(day).padStart(3,"0")}` : `PAST // DAY_${String(day).padStart(3,"0")}`}
+              {practice ? `FREE_PRACTICE${practice.focus ? ` // ${practice.focus.toUpperCase()}` : ""}`
+                : offsetDays === 0 ? `TODAY // DAY_${String(day).padStart(3,"0")}` : offsetDays > 0 ? `FUTURE // DAY_${String(day).padStart(3,"0")}` : `PAST // DAY_${String(day).padStart(3,"0")}`}
             </div>
             <div style={{ fontSize: 11, color: "#3a7a3a", marginTop: 3, display: "flex", alignItems: "center", gap: 8 }}>
               <span style={{ fontSize: 14 }}>{cat.emoji}</span>
@@ -749,10 +5647,16 @@ export default function OnchainDojo() {
             </div>
           </div>
 
-          <div style={{ fontSize: 9, color: "#1a4a1a", textAlign: "right" }}>
-            <div>{todayKey()}</div>
-            <div style={{ color: "#0d2a0d" }}>AI GENERATED</div>
-          </div>
+          {practice ? (
+            <Btn onClick={() => goToDay(offsetDays)} variant="dim" style={{ fontSize: 9 }}>
+              ✕ EXIT_PRACTICE · NO STREAK
+            </Btn>
+          ) : (
+            <div style={{ fontSize: 9, color: "#1a4a1a", textAlign: "right" }}>
+              <div>{todayKey()}</div>
+              <div style={{ color: "#0d2a0d" }}>{challenge?.adaptive ? "ADAPTIVE" : "AI GENERATED"}</div>
+            </div>
+          )}
 
           <Btn onClick={() => changeDay(1)} style={{ padding: "6px 10px" }}>›</Btn>
         </div>
@@ -764,7 +5668,9 @@ export default function OnchainDojo() {
               SEARCHING WEB FOR REAL ONCHAIN EVENT<Cursor />
             </div>
             <div style={{ fontSize: 10, color: "#1a4a2a", letterSpacing: "0.1em", marginBottom: 24 }}>
-              Gemini is scanning Glassnode, Nansen, DeFiLlama, CryptoQuant, news...
+              {provider.grounding
+                ? "Gemini is scanning Glassnode, Nansen, DeFiLlama, CryptoQuant, news..."
+                : `${provider.label} is drafting from its own knowledge — no live web search`}
             </div>
             <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
               {[...Array(5)].map((_, i) => (
@@ -785,11 +5691,22 @@ export default function OnchainDojo() {
         {genError && !generating && (
           <div style={{ padding: "40px 0" }}>
             <div style={{ background: "#0d0505", border: "1px solid #3a1a1a", borderLeft: "3px solid #ef4444", padding: "20px 24px", borderRadius: "0 4px 4px 0" }}>
-              <div style={{ fontSize: 9, color: "#ef4444", letterSpacing: "0.15em", marginBottom: 10 }}>// GENERATION_ERROR</div>
-              <div style={{ fontSize: 12, color: "#8a5a5a", lineHeight: 1.7 }}>{genError}</div>
+              <div style={{ fontSize: 9, color: "#ef4444", letterSpacing: "0.15em", marginBottom: 10 }}>
+                // {LLM_ERRORS[genError.kind]?.title || "GENERATION_ERROR"}
+              </div>
+              <div style={{ fontSize: 12, color: "#8a5a5a", lineHeight: 1.7 }}>{genError.message}</div>
               <div style={{ marginTop: 16, display: "flex", gap: 10 }}>
-                <Btn onClick={() => loadOrGenerateChallenge(offsetDays, apiKey)} variant="primary">RETRY</Btn>
-                <Btn onClick={() => { saveApiKey(""); setApiKey(""); }} variant="danger">CHANGE KEY</Btn>
+                {LLM_ERRORS[genError.kind]?.fix === "provider" ? (
+                  <>
+                    <Btn onClick={disconnect} variant="primary">CHANGE PROVIDER</Btn>
+                    <Btn onClick={() => practice ? generatePractice(practice) : loadOrGenerateChallenge(offsetDays, llm)} variant="ghost">RETRY</Btn>
+                  </>
+                ) : (
+                  <>
+                    <Btn onClick={() => practice ? generatePractice(practice) : loadOrGenerateChallenge(offsetDays, llm)} variant="primary">RETRY</Btn>
+                    <Btn onClick={disconnect} variant="danger">CHANGE PROVIDER</Btn>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -800,7 +5717,7 @@ export default function OnchainDojo() {
           <>
             {/* PHASE TABS */}
             <div style={{ display: "flex", borderBottom: "1px solid #0a140a" }}>
-              {["challenge", "workspace", "tweet"].map((p, i) => (
+              {["challenge", "workspace", "tweet", "review"].map((p, i) => (
                 <button key={p} onClick={() => setPhase(p)} style={{
                   background: "none", border: "none",
                   borderBottom: phase === p ? "2px solid #00c9a7" : "2px solid transparent",
@@ -809,7 +5726,8 @@ export default function OnchainDojo() {
                   fontSize: 10, letterSpacing: "0.12em", marginBottom: -1,
                 }}>
                   {`0${i+1}_${p.toUpperCase()}`}
-                  {p === "tweet" && thread && <span style={{ marginLeft: 6, fontSize: 8, color: "#f59e0b", border: "1px solid #f59e0b40", padding: "1px 5px", borderRadius: 10 }}>READY</span>}
+                  {p === "tweet" && threads.length > 0 && <span style={{ marginLeft: 6, fontSize: 8, color: "#f59e0b", border: "1px solid #f59e0b40", padding: "1px 5px", borderRadius: 10 }}>READY</span>}
+                  {p === "review" && dueCount > 0 && <span style={{ marginLeft: 6, fontSize: 8, color: "#0ea5e9", border: "1px solid #0ea5e940", padding: "1px 5px", borderRadius: 10 }}>{dueCount} DUE</span>}
                 </button>
               ))}
             </div>
@@ -844,9 +5762,44 @@ export default function OnchainDojo() {
                         <span style={{ fontSize: 9, padding: "2px 8px", letterSpacing: "0.1em", background: "#0d1a0d", border: "1px solid #1a3a1a", color: "#2a5a2a", borderRadius: 2 }}>
                           AI · {todayKey()}
                         </span>
+                        {["repaired", "partial"].includes(challenge.validation?.status) && (
+                          <span
+                            title={challenge.validation.errors.length
+                              ? challenge.validation.errors.map(e => `${e.field} ${e.message}`).join("\n")
+                              : `Fixed after ${challenge.validation.calls} model call(s)`}
+                            style={{
+                              fontSize: 9, padding: "2px 8px", letterSpacing: "0.1em", borderRadius: 2,
+                              ...(challenge.validation.status === "partial"
+                                ? { background: "#ef444415", border: "1px solid #ef444440", color: "#ef4444" }
+                                : { background: "#f59e0b15", border: "1px solid #f59e0b40", color: "#f59e0b" }),
+                            }}
+                          >
+                            {challenge.validation.status.toUpperCase()}
+                          </span>
+                        )}
+                        {isUnverified(challenge) && (
+                          <span
+                            title="No search grounding came back with this challenge — the event, numbers and source are the model's word only"
+                            style={{ fontSize: 9, padding: "2px 8px", letterSpacing: "0.1em", borderRadius: 2, background: "#ef444415", border: "1px solid #ef444440", color: "#ef4444" }}
+                          >
+                            ⚠ UNVERIFIED
+                          </span>
+                        )}
+                        {Object.values(challenge.prompts || {}).some(Boolean) && (
+                          <span title={`Generated with ${describePrompts(challenge.prompts)}`}
+                            style={{ fontSize: 9, padding: "2px 8px", letterSpacing: "0.1em", borderRadius: 2, background: "#a855f715", border: "1px solid #a855f740", color: "#a855f7" }}>
+                            CUSTOM PROMPT
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
+                  {challenge.validation?.status === "partial" && (
+                    <div style={{ fontSize: 10, color: "#8a5a5a", lineHeight: 1.7, marginTop: 6 }}>
+                      // Some fields failed validation after {challenge.validation.calls} tries:{" "}
+                      {challenge.validation.errors.map(e => `${e.field} ${e.message}`).join(" · ")}
+                    </div>
+                  )}
                 </div>
 
                 {/* Problem */}
@@ -857,7 +5810,7 @@ export default function OnchainDojo() {
                 }}>
                   <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 12 }}>// SCENARIO</div>
                   <p style={{ fontSize: 13, lineHeight: 1.85, color: "#c8c8c8", margin: 0 }}>
-                    {challenge.problem}
+                    <MetricText text={challenge.problem} {...termProps} />
                   </p>
                 </div>
 
@@ -870,7 +5823,9 @@ export default function OnchainDojo() {
                   }}>
                     <div style={{ fontSize: 9, color: "#22c55e", letterSpacing: "0.15em", marginBottom: 8, display: "flex", alignItems: "center", gap: 8 }}>
                       <span style={{ background: "#22c55e20", border: "1px solid #22c55e50", padding: "2px 8px", borderRadius: 10 }}>REAL EVENT</span>
-                      <span style={{ color: "#1a4a25" }}>verifiable onchain data</span>
+                      <span style={{ color: isUnverified(challenge) ? "#8a5a5a" : "#1a4a25" }}>
+                        {isUnverified(challenge) ? "model-reported — not backed by search results" : `backed by ${challenge.grounding.sources.length} search source${challenge.grounding.sources.length !== 1 ? "s" : ""}`}
+                      </span>
                     </div>
                     <div style={{ fontSize: 12, color: "#4a9a5a", lineHeight: 1.75, marginBottom: 8 }}>
                       {challenge.realEvent}
@@ -891,6 +5846,48 @@ export default function OnchainDojo() {
                   </div>
                 )}
 
+                {/* Search grounding: sources + which sentence each one supports */}
+                {!isUnverified(challenge) && (() => {
+                  const g = challenge.grounding;
+                  const cited = g.citations.filter(c => c.sources.length);
+                  const marker = (i) => (
+                    <a key={i} href={g.sources[i]?.uri} target="_blank" rel="noopener noreferrer"
+                      style={{ color: "#00c9a7", textDecoration: "none", fontSize: 9, marginLeft: 3 }}>[{i + 1}]</a>
+                  );
+                  return (
+                    <div style={{ background: "#07100a", border: "1px solid #0d2a15", padding: "12px 18px", marginBottom: 12, borderRadius: 4 }}>
+                      <div onClick={() => setSourcesOpen(o => !o)} style={{ fontSize: 9, color: "#22c55e", letterSpacing: "0.15em", cursor: "pointer", display: "flex", justifyContent: "space-between" }}>
+                        <span>// SOURCES · {g.sources.length} · {cited.length}/{g.citations.length} sentences cited</span>
+                        <span>{sourcesOpen ? "▲" : "▼"}</span>
+                      </div>
+                      {sourcesOpen && (
+                        <div style={{ marginTop: 10, fontSize: 11, lineHeight: 1.7 }}>
+                          {g.sources.map((src, i) => (
+                            <div key={i} style={{ display: "flex", gap: 8 }}>
+                              <span style={{ color: "#1a5a2a", minWidth: 24 }}>[{i + 1}]</span>
+                              <a href={src.uri} target="_blank" rel="noopener noreferrer" style={{ color: "#00c9a7", textDecoration: "none", wordBreak: "break-all" }}>{src.title} ↗</a>
+                            </div>
+                          ))}
+                          {CITED_FIELDS.map(field => (
+                            <div key={field} style={{ marginTop: 10 }}>
+                              <div style={{ fontSize: 8, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 4 }}>{field === "problem" ? "SCENARIO" : "REAL_EVENT"}</div>
+                              {g.citations.filter(c => c.field === field).map((c, i) => (
+                                <div key={i} style={{ color: c.sources.length ? "#6a9a6a" : "#5a4a3a", paddingLeft: 10, borderLeft: `2px solid ${c.sources.length ? "#22c55e40" : "#f59e0b40"}`, marginBottom: 4 }}>
+                                  {c.sentence}
+                                  {c.sources.length ? c.sources.map(marker) : <span style={{ color: "#f59e0b", fontSize: 9, marginLeft: 6 }}>no citation</span>}
+                                </div>
+                              ))}
+                            </div>
+                          ))}
+                          {g.queries.length > 0 && (
+                            <div style={{ fontSize: 9, color: "#1a4a25", marginTop: 10 }}>searched: {g.queries.map(q => `“${q}”`).join(" · ")}</div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+
                 {/* Teaching point */}
                 <div style={{
                   background: "#06090a", border: "1px solid #0d2030",
@@ -907,7 +5904,8 @@ export default function OnchainDojo() {
                     <div style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.15em", marginBottom: 10 }}>// KEY_METRICS_TO_CHECK</div>
                     {(challenge.keyMetrics || []).map((m, i) => (
                       <div key={i} style={{ fontSize: 11, color: "#4a7a4a", padding: "3px 0", display: "flex", gap: 8 }}>
-                        <span style={{ color: "#1a4a1a" }}>›</span> {m}
+                        <span style={{ color: "#1a4a1a" }}>›</span>
+                        <MetricTerm label={m} entry={lookupTerm(glossary, m)} {...termProps} />
                       </div>
                     ))}
                   </div>
@@ -934,14 +5932,28 @@ export default function OnchainDojo() {
                   <div style={{ background: "#050a05", border: "1px solid #1a3a1a", padding: "14px 18px", borderRadius: 4, marginBottom: 20 }}>
                     {(challenge.hints || []).map((h, i) => (
                       <div key={i} style={{ fontSize: 11, color: "#4a8a4a", lineHeight: 1.75, padding: "4px 0", display: "flex", gap: 10 }}>
-                        <span style={{ color: "#f59e0b", flexShrink: 0 }}>[{i+1}]</span> {h}
+                        <span style={{ color: "#f59e0b", flexShrink: 0 }}>[{i+1}]</span>
+                        <span><MetricText text={h} {...termProps} /></span>
                       </div>
                     ))}
                   </div>
                 )}
 
+                {/* Answer format for new/regenerated challenges */}
+                <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 12, flexWrap: "wrap" }}>
+                  <span style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em", marginRight: 4 }}>ANSWER_FORMAT:</span>
+                  {ANSWER_MODES.map(m => (
+                    <Btn key={m} onClick={() => pickAnswerMode(m)} variant={answerMode === m ? "primary" : "dim"} style={{ fontSize: 9, padding: "4px 10px" }}>
+                      {(ANSWER_TYPES[m]?.label || "Mixed").toUpperCase()}
+                    </Btn>
+                  ))}
+                  <span style={{ fontSize: 9, color: "#1a3a1a", marginLeft: 4 }}>
+                    this one: {(ANSWER_TYPES[challenge.answerType] || ANSWER_TYPES.open).label.toLowerCase()} · applies on regenerate
+                  </span>
+                </div>
+
                 <div style={{ display: "flex", gap: 10 }}>
-                  <Btn onClick={() => loadOrGenerateChallenge(offsetDays, apiKey, true)} variant="dim" style={{ flex: 1 }}>
+                  <Btn onClick={() => practice ? generatePractice(practice) : loadOrGenerateChallenge(offsetDays, llm, true)} variant="dim" style={{ flex: 1 }}>
                     ↺ REGENERATE
                   </Btn>
                   <Btn onClick={() => setPhase("workspace")} variant="primary" style={{ flex: 3, padding: "13px", fontSize: 11 }}>
@@ -971,13 +5983,83 @@ export default function OnchainDojo() {
                   }}>see full ↗</button>
                 </div>
 
+                {/* Quiz challenges: answer + local grading */}
+                {ANSWER_TYPES[challenge.answerType] && challenge.answerType !== "open" && (
+                  <div style={{ background: "#080d08", border: "1px solid #1a3a1a", borderLeft: `3px solid ${cat.color}`, padding: "16px 20px", marginBottom: 22, borderRadius: "0 4px 4px 0" }}>
+                    <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 10 }}>
+                      // {ANSWER_TYPES[challenge.answerType].label.toUpperCase()}_QUESTION — graded locally, no API call
+                    </div>
+                    <div style={{ fontSize: 13, color: "#c8c8c8", lineHeight: 1.7, marginBottom: 14 }}>{challenge.question}</div>
+
+                    {challenge.answerType === "choice" && challenge.choices.map((c, i) => (
+                      <button key={i} onClick={() => { setQuizResponse(i); setQuizResult(null); }} style={{
+                        display: "block", width: "100%", textAlign: "left", marginBottom: 6,
+                        background: quizResponse === i ? "#003a2a" : "none",
+                        border: `1px solid ${quizResult && i === challenge.answer ? "#22c55e" : quizResponse === i ? "#00c9a7" : "#1a3a1a"}`,
+                        color: quizResponse === i ? "#00c9a7" : "#4a7a4a",
+                        padding: "8px 12px", cursor: "pointer", fontFamily: "inherit", fontSize: 11, borderRadius: 3,
+                      }}>
+                        <span style={{ color: "#f59e0b", marginRight: 10 }}>{String.fromCharCode(65 + i)}</span>{c}
+                      </button>
+                    ))}
+
+                    {challenge.answerType === "numeric" && (
+                      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                        <input
+                          value={quizResponse ?? ""}
+                          onChange={e => { setQuizResponse(e.target.value); setQuizResult(null); }}
+                          onKeyDown={e => e.key === "Enter" && submitAnswer()}
+                          inputMode="decimal"
+                          placeholder="Your number"
+                          style={{
+                            width: 180, background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 4,
+                            color: "#b8d8b8", fontFamily: "inherit", fontSize: 13, padding: "8px 12px", outline: "none",
+                          }}
+                        />
+                        {challenge.unit && <span style={{ fontSize: 11, color: "#3a7a3a" }}>{challenge.unit}</span>}
+                      </div>
+                    )}
+
+                    {challenge.answerType === "ordering" && Array.isArray(quizResponse) && quizResponse.map((item, i) => {
+                      const move = (dir) => {
+                        const next = [...quizResponse];
+                        [next[i], next[i + dir]] = [next[i + dir], next[i]];
+                        setQuizResponse(next);
+                        setQuizResult(null);
+                      };
+                      return (
+                        <div key={item} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6, fontSize: 11, color: "#4a7a4a", border: "1px solid #1a3a1a", borderRadius: 3, padding: "6px 10px" }}>
+                          <span style={{ color: "#f59e0b", minWidth: 16 }}>{i + 1}.</span>
+                          <span style={{ flex: 1 }}>{item}</span>
+                          <Btn onClick={() => move(-1)} disabled={i === 0} variant="dim" style={{ padding: "2px 8px" }}>↑</Btn>
+                          <Btn onClick={() => move(1)} disabled={i === quizResponse.length - 1} variant="dim" style={{ padding: "2px 8px" }}>↓</Btn>
+                        </div>
+                      );
+                    })}
+
+                    <Btn onClick={submitAnswer} disabled={quizResponse === null || quizResponse === ""} variant="primary" style={{ marginTop: 10 }}>
+                      CHECK_ANSWER
+                    </Btn>
+
+                    {quizResult && (
+                      <div style={{ marginTop: 14, fontSize: 11, lineHeight: 1.75 }}>
+                        <div style={{ color: quizResult.correct ? "#22c55e" : quizResult.score > 0 ? "#f59e0b" : "#ef4444", marginBottom: 6 }}>
+                          {quizResult.correct ? "✅" : "✗"} {quizResult.detail} · score {Math.round(quizResult.score * 100)}%
+                        </div>
+                        <div style={{ color: "#3a7a5a" }}>{challenge.explanation}</div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 <div style={{ marginBottom: 14 }}>
                   <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 8 }}>
+                    {challenge.answerType && challenge.answerType !== "open" && "// OPTIONAL WRITE-UP — for AI feedback or a thread · "}
                     // YOUR_ANALYSIS — what does the data mean? what patterns do you see?
                   </div>
                   <Textarea
                     value={analysis}
-                    onChange={setAnalysis}
+                    onChange={editAnalysis}
                     placeholder={`Break down the onchain signals. Reference specific metrics. Explain what's happening and why it matters...`}
                     minHeight={160}
                   />
@@ -992,7 +6074,7 @@ export default function OnchainDojo() {
                   </div>
                   <Textarea
                     value={conclusion}
-                    onChange={setConclusion}
+                    onChange={editConclusion}
                     placeholder={`What's your final read? What would you watch next? What's the trade or signal here?`}
                     minHeight={90}
                   />
@@ -1007,6 +6089,9 @@ export default function OnchainDojo() {
                   >
                     {loadingFeedback ? "ANALYZING..." : "GET_AI_FEEDBACK"}
                   </Btn>
+                  {loadingFeedback && (
+                    <Btn onClick={() => cancelRequest("feedback")} variant="danger" style={{ padding: "12px" }}>✕ CANCEL</Btn>
+                  )}
                   <Btn
                     onClick={generateThread}
                     disabled={loadingThread || !analysis.trim() || !conclusion.trim()}
@@ -1017,19 +6102,31 @@ export default function OnchainDojo() {
                   </Btn>
                 </div>
 
+                {/* Feedback as it streams in */}
+                {loadingFeedback && streaming?.kind === "feedback" && (
+                  <div style={{
+                    background: "#060c06", border: "1px dashed #1a4a1a",
+                    borderLeft: "3px solid #1a6a5a", padding: "18px 22px",
+                    borderRadius: "0 4px 4px 0", marginTop: 20,
+                  }}>
+                    <div style={{ fontSize: 9, color: "#1a8a7a", letterSpacing: "0.15em", marginBottom: 14 }}>
+                      // AI_MENTOR_FEEDBACK — RECEIVING {streaming.text.length} CHARS <Cursor />
+                    </div>
+                    {feedbackPreview && <FeedbackView entry={feedbackPreview} />}
+                  </div>
+                )}
+
                 {/* AI Feedback */}
-                {feedback && (
+                {!loadingFeedback && feedback && (
                   <div style={{
                     background: "#060c06", border: "1px solid #1a4a1a",
                     borderLeft: "3px solid #00c9a7", padding: "18px 22px",
                     borderRadius: "0 4px 4px 0", marginTop: 20,
                   }}>
                     <div style={{ fontSize: 9, color: "#00c9a7", letterSpacing: "0.15em", marginBottom: 14 }}>
-                      // GEMINI_MENTOR_FEEDBACK
-                    </div>
-                    <div style={{ fontSize: 12, lineHeight: 1.85, color: "#7ab87a", whiteSpace: "pre-wrap", fontFamily: "inherit" }}>
-                      {feedback}
+                      // AI_MENTOR_FEEDBACK
                     </div>
+                    <FeedbackView entry={feedback} />
                   </div>
                 )}
               </div>
@@ -1040,81 +6137,186 @@ export default function OnchainDojo() {
             {/* ═══════════════════════════════════ */}
             {phase === "tweet" && (
               <div style={{ paddingTop: 24 }}>
-                {!thread ? (
+                {/* Platform selector */}
+                <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 18, flexWrap: "wrap" }}>
+                  <span style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em", marginRight: 4 }}>PLATFORM:</span>
+                  {Object.values(POST_FORMATS).map(f => (
+                    <Btn key={f.id} onClick={() => pickPlatform(f.id)} variant={platform === f.id ? "primary" : "dim"} style={{ fontSize: 9, padding: "4px 10px" }}>
+                      {f.icon} {f.label.toUpperCase()}
+                      {latestThread(threads, f.id) && <span style={{ color: "#f59e0b", marginLeft: 4 }}>●</span>}
+                    </Btn>
+                  ))}
+                </div>
+
+                {loadingThread ? (
+                  <div>
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20, gap: 10 }}>
+                      <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em" }}>
+                        // GENERATING_{fmt.post}S <Cursor />
+                        {streaming?.kind === "thread" && <span style={{ color: "#1a4a1a" }}> · {streaming.text.length} chars received</span>}
+                      </div>
+                      <Btn onClick={() => cancelRequest("thread")} variant="danger" style={{ fontSize: 9, padding: "4px 10px" }}>✕ CANCEL</Btn>
+                    </div>
+                    {streaming?.kind === "thread" && streaming.text.split(POST_SEPARATOR).map(t => t.trim()).filter(Boolean).map((t, i) => (
+                      <div key={i} style={{
+                        background: "#060c06", border: "1px dashed #1a3a1a", borderRadius: 4,
+                        padding: "14px 18px", marginBottom: 10, fontSize: 13, lineHeight: 1.6,
+                        color: "#8aba8a", whiteSpace: "pre-wrap",
+                      }}>
+                        <div style={{ fontSize: 9, color: "#2a5a2a", marginBottom: 6 }}>{i + 1}</div>
+                        {t}
+                      </div>
+                    ))}
+                  </div>
+                ) : !thread ? (
                   <div style={{ textAlign: "center", padding: "60px 0" }}>
                     <div style={{ fontSize: 11, color: "#1a3a1a", letterSpacing: "0.15em", marginBottom: 16 }}>
-                      // NO_THREAD_YET
+                      // NO_{fmt.post}_YET
                     </div>
-                    <p style={{ fontSize: 12, color: "#2a5a2a" }}>Write your analysis first, then generate the thread.</p>
-                    <Btn onClick={() => setPhase("workspace")} variant="ghost" style={{ marginTop: 16 }}>GO_TO_WORKSPACE →</Btn>
+                    {analysis.trim() && conclusion.trim() ? (
+                      <Btn onClick={generateThread} disabled={loadingThread} variant="primary" style={{ marginTop: 8 }}>
+                        {loadingThread ? "GENERATING..." : `GENERATE ${fmt.label.toUpperCase()} →`}
+                      </Btn>
+                    ) : (
+                      <>
+                        <p style={{ fontSize: 12, color: "#2a5a2a" }}>Write your analysis first, then generate the {fmt.label}.</p>
+                        <Btn onClick={() => setPhase("workspace")} variant="ghost" style={{ marginTop: 16 }}>GO_TO_WORKSPACE →</Btn>
+                      </>
+                    )}
                   </div>
                 ) : (
                   <>
                     {/* Thread controls */}
                     <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20, flexWrap: "wrap", gap: 10 }}>
                       <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em" }}>
-                        // THREAD_READY — {thread.length} TWEETS
+                        // {fmt.label.toUpperCase()} — {thread.length} {fmt.post}{thread.length !== 1 && "S"}
+                        {fmt.max && thread.some(t => fmt.count(t) > fmt.max) && <span style={{ color: "#ef4444" }}> · OVER_LIMIT</span>}
+                        <span style={{ color: "#1a4a1a" }}> · edits save automatically</span>
                       </div>
                       <div style={{ display: "flex", gap: 8 }}>
                         <Btn onClick={copyAll} variant="ghost" style={{ fontSize: 9 }}>COPY_ALL</Btn>
+                        <Btn onClick={buildCard} variant="ghost" style={{ fontSize: 9 }}>🖼 CARD</Btn>
                         <Btn onClick={generateThread} disabled={loadingThread} variant="ghost" style={{ fontSize: 9 }}>
                           {loadingThread ? "..." : "↺ REGEN"}
                         </Btn>
-                        <Btn onClick={() => openTwitter(thread[0])} variant="twitter">
-                          𝕏 POST TWEET 1 ↗
-                        </Btn>
+                        {fmt.download && (
+                          <Btn onClick={downloadPost} variant="ghost" style={{ fontSize: 9 }}>⇩ .MD</Btn>
+                        )}
+                        {fmt.intent && (
+                          <Btn onClick={() => sharePost(thread[0])} variant="twitter" style={{ borderColor: fmt.color, color: fmt.color }}>
+                            {fmt.icon} POST {fmt.kind === "thread" ? "1 " : ""}↗
+                          </Btn>
+                        )}
                       </div>
                     </div>
 
-                    {/* Tweet cards */}
+                    {/* Schedule */}
+                    <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 16, flexWrap: "wrap" }}>
+                      <span style={{ fontSize: 9, color: "#2a5a2a", letterSpacing: "0.12em" }}>SCHEDULE:</span>
+                      <input
+                        type="datetime-local"
+                        value={scheduleAt}
+                        onChange={e => setScheduleAt(e.target.value)}
+                        style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 3, color: "#b8d8b8", fontFamily: "inherit", fontSize: 10, padding: "5px 8px", outline: "none", colorScheme: "dark" }}
+                      />
+                      <Btn onClick={queueThread} variant="ghost" style={{ fontSize: 9, padding: "5px 12px" }}>⏰ QUEUE</Btn>
+                      <span style={{ fontSize: 9, color: "#1a3a1a" }}>queues a snapshot — re-queue after editing</span>
+                    </div>
+
+                    {/* Challenge card preview */}
+                    {card && (
+                      <div style={{ background: "#050a05", border: "1px solid #1a3a1a", borderRadius: 4, padding: 12, marginBottom: 16 }}>
+                        <img src={card.url} alt={`Day ${challenge.day} challenge card`} style={{ width: "100%", display: "block", borderRadius: 2, marginBottom: 10 }} />
+                        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                          <Btn onClick={() => downloadFile(`onchain-dojo-day-${challenge.day}.png`, card.blob, "image/png")} variant="primary" style={{ fontSize: 9 }}>⇩ DOWNLOAD_PNG</Btn>
+                          <Btn onClick={copyCard} variant="ghost" style={{ fontSize: 9 }}>COPY_IMAGE</Btn>
+                          <Btn onClick={buildCard} variant="ghost" style={{ fontSize: 9 }}>↺ RE-RENDER</Btn>
+                          <Btn onClick={closeCard} variant="dim" style={{ fontSize: 9 }}>CLOSE</Btn>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Tweet cards — editable */}
                     <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-                      {thread.map((tweet, i) => (
-                        <div key={i} style={{ position: "relative" }}>
-                          {/* connector line */}
-                          {i < thread.length - 1 && (
-                            <div style={{ position: "absolute", left: 14, bottom: -10, width: 1, height: 10, background: "#1a3a1a" }} />
-                          )}
-                          <div style={{ background: "#080d08", border: "1px solid #1a3a1a", borderRadius: 5, padding: "14px 16px" }}>
-                            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
-                              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                                <div style={{
-                                  width: 18, height: 18, borderRadius: "50%",
-                                  background: `linear-gradient(135deg, ${cat.color}, #00c9a7)`,
-                                  display: "flex", alignItems: "center", justifyContent: "center",
-                                  fontSize: 8, fontWeight: 700, color: "#000", flexShrink: 0,
-                                }}>{i + 1}</div>
-                                <span style={{ fontSize: 9, color: "#1a5a1a", letterSpacing: "0.1em" }}>
-                                  TWEET_{String(i+1).padStart(2,"0")}
-                                </span>
+                      {thread.map((tweet, i) => {
+                        const busy = regenIndex !== null;
+                        const mini = (label, onClick, disabled, color = "#2a5a2a") => (
+                          <button onClick={onClick} disabled={disabled} style={{
+                            background: "none", border: "1px solid #1a3a1a", color,
+                            padding: "3px 8px", cursor: disabled ? "not-allowed" : "pointer", opacity: disabled ? 0.35 : 1,
+                            fontFamily: "inherit", fontSize: 9, letterSpacing: "0.08em", borderRadius: 2,
+                          }}>{label}</button>
+                        );
+                        return (
+                          <div key={i} style={{ position: "relative" }}>
+                            {/* connector line */}
+                            {i < thread.length - 1 && (
+                              <div style={{ position: "absolute", left: 14, bottom: -10, width: 1, height: 10, background: "#1a3a1a" }} />
+                            )}
+                            <div style={{ background: "#080d08", border: `1px solid ${fmt.max && fmt.count(tweet) > fmt.max ? "#5a1a1a" : "#1a3a1a"}`, borderRadius: 5, padding: "14px 16px" }}>
+                              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10, flexWrap: "wrap", gap: 6 }}>
+                                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                                  <div style={{
+                                    width: 18, height: 18, borderRadius: "50%",
+                                    background: `linear-gradient(135deg, ${cat.color}, #00c9a7)`,
+                                    display: "flex", alignItems: "center", justifyContent: "center",
+                                    fontSize: 8, fontWeight: 700, color: "#000", flexShrink: 0,
+                                  }}>{i + 1}</div>
+                                  <span style={{ fontSize: 9, color: "#1a5a1a", letterSpacing: "0.1em" }}>
+                                    {fmt.post}_{String(i+1).padStart(2,"0")}
+                                  </span>
+                                </div>
+                                <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                                  {fmt.kind === "thread" && (
+                                    <>
+                                      {mini("↑", () => moveTweet(i, -1), busy || i === 0)}
+                                      {mini("↓", () => moveTweet(i, 1), busy || i === thread.length - 1)}
+                                      {mini(regenIndex === i ? "..." : "↺", () => regenerateTweet(i), busy)}
+                                      {mini("+", () => addTweet(i), busy)}
+                                      {mini("✕", () => deleteTweet(i), busy || thread.length === 1, "#7a3a3a")}
+                                    </>
+                                  )}
+                                  <button onClick={() => copyTweet(tweet, i)} style={{
+                                    background: copied === i ? "#003a2a" : "none",
+                                    border: `1px solid ${copied === i ? "#00c9a7" : "#1a3a1a"}`,
+                                    color: copied === i ? "#00c9a7" : "#2a5a2a",
+                                    padding: "3px 10px", cursor: "pointer",
+                                    fontFamily: "inherit", fontSize: 9, letterSpacing: "0.08em", borderRadius: 2,
+                                  }}>
+                                    {copied === i ? "COPIED!" : "COPY"}
+                                  </button>
+                                  {fmt.intent && (
+                                    <button onClick={() => sharePost(tweet)} style={{
+                                      background: "none", border: `1px solid ${fmt.color}40`, color: fmt.color,
+                                      padding: "3px 10px", cursor: "pointer",
+                                      fontFamily: "inherit", fontSize: 9, letterSpacing: "0.08em", borderRadius: 2,
+                                    }}>
+                                      {fmt.icon} POST
+                                    </button>
+                                  )}
+                                </div>
                               </div>
-                              <div style={{ display: "flex", gap: 6 }}>
-                                <button onClick={() => copyTweet(tweet, i)} style={{
-                                  background: copied === i ? "#003a2a" : "none",
-                                  border: `1px solid ${copied === i ? "#00c9a7" : "#1a3a1a"}`,
-                                  color: copied === i ? "#00c9a7" : "#2a5a2a",
-                                  padding: "3px 10px", cursor: "pointer",
-                                  fontFamily: "inherit", fontSize: 9, letterSpacing: "0.08em", borderRadius: 2,
-                                }}>
-                                  {copied === i ? "COPIED!" : "COPY"}
-                                </button>
-                                <button onClick={() => openTwitter(tweet)} style={{
-                                  background: "none", border: "1px solid #0d2a3a", color: "#1d6fa0",
-                                  padding: "3px 10px", cursor: "pointer",
-                                  fontFamily: "inherit", fontSize: 9, letterSpacing: "0.08em", borderRadius: 2,
-                                }}>
-                                  𝕏 POST
-                                </button>
+                              <textarea
+                                value={tweet}
+                                onChange={e => editTweet(i, e.target.value)}
+                                onBlur={() => splitOverlong(i)}
+                                disabled={regenIndex === i}
+                                placeholder={`Write this ${fmt.post.toLowerCase()}...`}
+                                rows={Math.max(3, Math.ceil(fmt.count(tweet) / 70))}
+                                style={{
+                                  width: "100%", background: "transparent", border: "none", outline: "none", resize: "vertical",
+                                  fontSize: 12, lineHeight: 1.8, color: "#a8c8a8", fontFamily: "inherit", padding: 0, boxSizing: "border-box",
+                                }}
+                              />
+                              <div style={{ marginTop: 10 }}>
+                                {fmt.max
+                                  ? <ProgressBar value={fmt.count(tweet)} max={fmt.max} />
+                                  : <div style={{ fontSize: 8, color: "#1a4a1a", textAlign: "right" }}>{fmt.count(tweet)} chars</div>}
                               </div>
                             </div>
-                            <div style={{ fontSize: 12, lineHeight: 1.8, color: "#a8c8a8", whiteSpace: "pre-wrap", fontFamily: "inherit" }}>
-                              {tweet}
-                            </div>
-                            <div style={{ marginTop: 10 }}>
-                              <ProgressBar value={tweet.length} />
-                            </div>
                           </div>
-                        </div>
-                      ))}
+                        );
+                      })}
                     </div>
 
                     {/* Instructions */}
@@ -1123,10 +6325,7 @@ export default function OnchainDojo() {
                       padding: "14px 18px", borderRadius: 4, fontSize: 10, color: "#2a5a2a", lineHeight: 1.85,
                     }}>
                       <div style={{ color: "#00c9a7", marginBottom: 6, letterSpacing: "0.1em" }}>// HOW_TO_POST</div>
-                      [1] Click "POST TWEET 1 ↗" — X opens with Tweet 1 pre-filled<br/>
-                      [2] Post it → click reply to your own tweet for Tweet 2<br/>
-                      [3] Use COPY buttons to paste each reply<br/>
-                      [4] Or paste all into <span style={{ color: "#3a6a5a" }}>Typefully / Tweetdeck</span> for scheduled threads
+                      {fmt.howTo.map((step, i) => <div key={i}>[{i + 1}] {step}</div>)}
                     </div>
 
                     {/* Next day teaser */}
@@ -1138,9 +6337,9 @@ export default function OnchainDojo() {
                       <div>
                         <div style={{ fontSize: 9, color: "#1a3a1a", letterSpacing: "0.1em" }}>TOMORROW'S CATEGORY</div>
                         <div style={{ fontSize: 12, color: "#4a7a4a", marginTop: 4 }}>
-                          {getTodayMeta(offsetDays + 1).cat.emoji} {getTodayMeta(offsetDays + 1).cat.label}
-                          <span style={{ fontSize: 10, color: DIFF_COLORS[getTodayMeta(offsetDays + 1).diff], marginLeft: 10 }}>
-                            {getTodayMeta(offsetDays + 1).diff}
+                          {tomorrow.cat.emoji} {tomorrow.cat.label}
+                          <span style={{ fontSize: 10, color: DIFF_COLORS[tomorrow.diff], marginLeft: 10 }}>
+                            {tomorrow.diff}{tomorrow.adaptive && " · adaptive"}
                           </span>
                         </div>
                         <div style={{ fontSize: 9, color: "#1a3a1a", marginTop: 2 }}>New challenge auto-generated at midnight</div>
@@ -1151,6 +6350,61 @@ export default function OnchainDojo() {
                 )}
               </div>
             )}
+
+            {/* ═══════════════════════════════════ */}
+            {/* PHASE 4: SPACED-REPETITION REVIEW   */}
+            {/* ═══════════════════════════════════ */}
+            {phase === "review" && (
+              <div style={{ paddingTop: 24 }}>
+                <div style={{ fontSize: 9, color: "#2a6a2a", letterSpacing: "0.15em", marginBottom: 16 }}>
+                  // REVIEW_QUEUE — {reviewQueue.length} LEFT · {reviewedCount} REVIEWED THIS SESSION
+                </div>
+                {reviewQueue.length === 0 ? (
+                  <div style={{ textAlign: "center", padding: "50px 0" }}>
+                    <div style={{ fontSize: 11, color: "#1a3a1a", letterSpacing: "0.15em", marginBottom: 12 }}>
+                      {reviewedCount > 0 ? "// SESSION_COMPLETE" : "// NOTHING_DUE"}
+                    </div>
+                    <p style={{ fontSize: 12, color: "#2a5a2a", lineHeight: 1.8 }}>
+                      Cards come from teaching points and key metrics of completed challenges,<br/>
+                      plus the "sharpen this" gaps in your AI feedback.
+                    </p>
+                  </div>
+                ) : (() => {
+                  const card = reviewQueue[0];
+                  const kindColor = { teaching: "#0ea5e9", metric: "#00c9a7", gap: "#f59e0b" }[card.kind];
+                  return (
+                    <div style={{ background: "#080d08", border: "1px solid #1a3a1a", borderLeft: `3px solid ${kindColor}`, borderRadius: "0 4px 4px 0", padding: "20px 24px" }}>
+                      <div style={{ display: "flex", gap: 10, alignItems: "center", marginBottom: 14, fontSize: 9, letterSpacing: "0.12em" }}>
+                        <span style={{ color: kindColor, border: `1px solid ${kindColor}40`, padding: "2px 8px", borderRadius: 2 }}>{card.kind.toUpperCase()}</span>
+                        <span style={{ color: "#1a4a1a" }}>Day {card.source.day} · {card.source.title}</span>
+                      </div>
+                      <div style={{ fontSize: 14, color: "#e8e8e8", lineHeight: 1.7, marginBottom: 18 }}>{card.front}</div>
+                      {!revealed ? (
+                        <Btn onClick={() => setRevealed(true)} variant="primary" style={{ width: "100%", padding: "12px" }}>SHOW_ANSWER</Btn>
+                      ) : (
+                        <>
+                          <div style={{ fontSize: 12, color: "#7ab87a", lineHeight: 1.8, whiteSpace: "pre-wrap", borderTop: "1px solid #0d1a0d", paddingTop: 14, marginBottom: 18 }}>
+                            {card.back}
+                          </div>
+                          <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8 }}>
+                            {REVIEW_GRADES.map(g => (
+                              <button key={g.q} onClick={() => gradeCard(g.q)} style={{
+                                background: "none", border: `1px solid ${g.color}60`, color: g.color,
+                                padding: "10px 6px", cursor: "pointer", fontFamily: "inherit", fontSize: 10,
+                                letterSpacing: "0.1em", borderRadius: 3,
+                              }}>
+                                {g.label}
+                                <div style={{ fontSize: 8, opacity: 0.6, marginTop: 3 }}>{scheduleCard(card, g.q).interval}d</div>
+                              </button>
+                            ))}
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  );
+                })()}
+              </div>
+            )}
           </>
         )}
 
@@ -1160,7 +6414,7 @@ export default function OnchainDojo() {
           display: "flex", justifyContent: "space-between", fontSize: 9, color: "#1a3a1a", letterSpacing: "0.08em",
         }}>
           <span>ONCHAIN_DOJO // BUILD IN PUBLIC</span>
-          <span>GEMINI-2.0-FLASH · {todayKey()}</span>
+          <span>{llm.model.toUpperCase()} · {todayKey()}</span>
         </div>
       </div>
 